@@ -0,0 +1,227 @@
+/**
+ * Backfill Manager
+ * Pushes historical accepted HackerRank submissions through the sync pipeline
+ */
+import { HackerRankAPI } from './hackerrank-api.js';
+import { StorageManager } from './storage.js';
+import { LanguageRegistry } from './languages.js';
+
+const STATE_KEY = 'backfill_state';
+const PAGE_SIZE = 50;
+const ITEM_DELAY = 1000; // Be gentle with both APIs between pushes
+const PAUSE_CHECK_INTERVAL = 5000; // How often a rate-limit wait checks for a pause
+
+// Promise of the loop running in this service worker instance, if any
+let activeRun = null;
+
+export class BackfillManager {
+  static async getState() {
+    const state = (await StorageManager.get(STATE_KEY)) || { status: 'idle' };
+
+    // A "running" state without a live loop means the service worker was restarted
+    if ((state.status === 'running' || state.status === 'scanning') && !activeRun) {
+      state.status = 'paused';
+    }
+    return state;
+  }
+
+  static async saveState(state) {
+    state.updatedAt = new Date().toISOString();
+    await StorageManager.set(STATE_KEY, state);
+    return state;
+  }
+
+  /**
+   * Scan the submissions list and start pushing from the beginning
+   */
+  static async start(push) {
+    if (activeRun) {
+      throw new Error('Backfill is already running');
+    }
+
+    activeRun = this.scanAndRun(push).finally(() => {
+      activeRun = null;
+    });
+    return this.getState();
+  }
+
+  static async pause() {
+    const state = await this.getState();
+    if (state.status === 'idle' || state.status === 'done') {
+      return state;
+    }
+    state.status = 'paused';
+    return this.saveState(state);
+  }
+
+  static async resume(push) {
+    if (activeRun) {
+      return this.getState();
+    }
+
+    const state = await this.getState();
+    if (state.status !== 'paused' || !state.queue) {
+      throw new Error('No paused backfill to resume');
+    }
+
+    state.status = 'running';
+    await this.saveState(state);
+
+    activeRun = this.run(push).finally(() => {
+      activeRun = null;
+    });
+    return state;
+  }
+
+  static async scanAndRun(push) {
+    const state = await this.saveState({
+      status: 'scanning',
+      queue: [],
+      position: 0,
+      synced: 0,
+      skipped: 0,
+      failed: 0,
+      errors: [],
+      startedAt: new Date().toISOString()
+    });
+
+    try {
+      state.queue = await this.collectLatestAccepted();
+
+      // Skip anything that was already synced (dry-run previews don't count)
+      const submissions = (await StorageManager.getSubmissions()).filter(sub => !sub.dryRun);
+      const known = new Set(submissions.map(sub => `${sub.problemSlug}:${sub.language}`));
+      const knownIds = new Set(submissions.map(sub => sub.submissionId).filter(Boolean));
+      const pending = state.queue.filter(
+        item => !knownIds.has(item.submissionId) && !known.has(`${item.challengeSlug}:${item.language}`)
+      );
+
+      state.skipped = state.queue.length - pending.length;
+      state.queue = pending;
+      state.total = pending.length;
+
+      // Respect a pause requested while the list was being scanned
+      const { status } = await StorageManager.get(STATE_KEY);
+      state.status = status === 'paused' ? 'paused' : 'running';
+      await this.saveState(state);
+    } catch (error) {
+      console.error('[HackPush] Backfill scan failed:', error);
+      state.status = 'error';
+      state.error = error.message;
+      await this.saveState(state);
+      return;
+    }
+
+    await this.run(push);
+  }
+
+  /**
+   * Page through all submissions, keeping the latest accepted one per challenge/language
+   */
+  static async collectLatestAccepted() {
+    const latest = new Map();
+    let offset = 0;
+
+    while (true) {
+      const { models, total } = await HackerRankAPI.getSubmissions(offset, PAGE_SIZE);
+      if (models.length === 0) break;
+
+      for (const model of models) {
+        const challengeSlug = HackerRankAPI.getChallengeSlug(model);
+        if (!challengeSlug || !HackerRankAPI.isAccepted(model)) continue;
+
+        const language = LanguageRegistry.resolve(model.language);
+        const key = `${challengeSlug}:${language}`;
+        const existing = latest.get(key);
+
+        if (!existing || new Date(model.created_at) > new Date(existing.createdAt)) {
+          latest.set(key, {
+            challengeSlug,
+            language,
+            submissionId: model.id,
+            createdAt: model.created_at
+          });
+        }
+      }
+
+      offset += models.length;
+      if (total && offset >= total) break;
+    }
+
+    console.log('[HackPush] Backfill found', latest.size, 'accepted solutions');
+    return [...latest.values()];
+  }
+
+  /**
+   * Push queued submissions one by one until done or paused
+   */
+  static async run(push) {
+    while (true) {
+      // Re-read so a pause from the options page is picked up
+      const state = await StorageManager.get(STATE_KEY);
+      if (state.status !== 'running') {
+        return;
+      }
+      if (state.position >= state.queue.length) {
+        break;
+      }
+
+      const item = state.queue[state.position];
+      let error = null;
+      let result = null;
+      try {
+        const submission = await HackerRankAPI.getSubmission(item.challengeSlug, item.submissionId);
+        result = await push(HackerRankAPI.toPushData(submission, item.challengeSlug), { silent: true });
+      } catch (e) {
+        console.error('[HackPush] Backfill failed for', item.challengeSlug, e);
+        error = e;
+      }
+
+      // Rate limited: wait for the limit to lift, then retry the same item
+      if (error?.rateLimited) {
+        await this.waitForRateLimit(error.retryAt);
+        continue;
+      }
+
+      // Apply the result to the latest stored state so a pause made meanwhile is kept
+      const latest = await StorageManager.get(STATE_KEY);
+      latest.position++;
+      if (error) {
+        latest.failed++;
+        latest.errors.push({ challengeSlug: item.challengeSlug, language: item.language, error: error.message });
+      } else if (result?.filtered) {
+        latest.skipped++;
+      } else {
+        latest.synced++;
+      }
+      await this.saveState(latest);
+      await new Promise(resolve => setTimeout(resolve, ITEM_DELAY));
+    }
+
+    const state = await StorageManager.get(STATE_KEY);
+    state.status = 'done';
+    delete state.rateLimitedUntil;
+    state.finishedAt = new Date().toISOString();
+    await this.saveState(state);
+  }
+
+  /**
+   * Sleep until a rate limit lifts, showing the wait in the progress and stopping early on pause
+   */
+  static async waitForRateLimit(retryAt) {
+    const state = await StorageManager.get(STATE_KEY);
+    state.rateLimitedUntil = retryAt;
+    await this.saveState(state);
+    console.log('[HackPush] Backfill rate limited until', new Date(retryAt).toLocaleTimeString());
+
+    while (Date.now() < retryAt) {
+      await new Promise(resolve => setTimeout(resolve, Math.min(PAUSE_CHECK_INTERVAL, retryAt - Date.now())));
+      const { status } = await StorageManager.get(STATE_KEY);
+      if (status !== 'running') break;
+    }
+
+    const latest = await StorageManager.get(STATE_KEY);
+    delete latest.rateLimitedUntil;
+    await this.saveState(latest);
+  }
+}
@@ -1,9 +1,41 @@
 /**
  * Background Service Worker
- * Handles GitHub API operations and message routing
+ * Handles Git host API operations and message routing
  */
 import { GitHubAPI } from './github-api.js';
+import { GitProvider } from './git-provider.js';
+import { Providers } from './providers.js';
 import { StorageManager } from './storage.js';
+import { ProfileManager } from './profiles.js';
+import { HackerRankAPI } from './hackerrank-api.js';
+import { ReadmeGenerator } from './readme.js';
+import { RepositoryIndex, METADATA_PATH, INDEX_README_PATH } from './repo-index.js';
+import { RoutingRules } from './routing.js';
+import { SyncFilters } from './filters.js';
+import { HistoryReconciler } from './reconcile.js';
+import { TemplateEngine } from './templates.js';
+import { LanguageRegistry } from './languages.js';
+import { GitHubAuth } from './github-auth.js';
+import { BackfillManager } from './backfill.js';
+import { RetryQueue, RETRY_ALARM } from './retry-queue.js';
+
+// Seeded into repositories created from the options page
+const INITIAL_GITIGNORE = [
+  '# Build output from compiling solutions locally',
+  '*.class',
+  '*.o',
+  '*.exe',
+  'a.out',
+  '__pycache__/',
+  'target/',
+  'node_modules/',
+  '',
+  '# Editors and OS files',
+  '.idea/',
+  '.vscode/',
+  '.DS_Store',
+  ''
+].join('\n');
 
 // Keep-alive pattern to prevent service worker from sleeping
 let keepAliveInterval;
@@ -17,6 +49,41 @@ function keepAlive() {
 self.addEventListener('activate', keepAlive);
 keepAlive();
 
+/**
+ * Retry failed pushes when their backoff expires (survives the worker sleeping)
+ */
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === RETRY_ALARM) {
+    RetryQueue.process(handlePushToGitHub).catch(error => {
+      console.error('[HackPush] Error processing retry queue:', error);
+    });
+  }
+});
+
+RetryQueue.schedule();
+
+/**
+ * Settings sync: pick up profiles saved on another device
+ */
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync') {
+    ProfileManager.applySyncChanges(changes).catch(error => {
+      console.error('[HackPush] Error applying synced settings:', error);
+    });
+  }
+});
+
+chrome.runtime.onStartup.addListener(pullSyncedSettings);
+chrome.runtime.onInstalled.addListener(pullSyncedSettings);
+
+async function pullSyncedSettings() {
+  try {
+    await ProfileManager.pullFromSync();
+  } catch (error) {
+    console.error('[HackPush] Error pulling synced settings:', error);
+  }
+}
+
 /**
  * Handle messages from content script and popup
  */
@@ -28,22 +95,145 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       .then(result => {
         sendResponse({ success: true, result });
       })
-      .catch(error => {
+      .catch(async error => {
         console.error('[HackPush] Error pushing to GitHub:', error);
-        sendResponse({ success: false, error: error.message });
+        let queued = false;
+        if (!RetryQueue.isTransient(error)) {
+          sendResponse({ success: false, error: error.message, queued });
+          return;
+        }
+        try {
+          await RetryQueue.add(request.data, error);
+          queued = true;
+        } catch (queueError) {
+          console.error('[HackPush] Error queueing retry:', queueError);
+        } finally {
+          sendResponse({ success: false, error: error.message, queued });
+        }
       });
     return true; // Required for async response
   }
 
+  if (request.action === 'getRetryQueue') {
+    RetryQueue.getQueue()
+      .then(queue => sendResponse({ success: true, queue }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'retryNow') {
+    RetryQueue.process(handlePushToGitHub, request.id || 'all')
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'discardRetry') {
+    RetryQueue.discard(request.id || 'all')
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
   if (request.action === 'testConnection') {
-    handleTestConnection()
+    handleTestConnection({ createBranch: Boolean(request.createBranch) })
       .then(result => sendResponse(result))
       .catch(error => sendResponse({ connected: false, error: error.message }));
     return true;
   }
 
+  if (request.action === 'createRepository') {
+    handleCreateRepository(request.options || {})
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'resyncSubmission') {
+    handleResyncSubmission(request.record)
+      .then(result => sendResponse({ success: true, result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'reconcileHistory') {
+    handleReconcileHistory()
+      .then(report => sendResponse({ success: true, report }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'getRepositoryEntries') {
+    getRepositoryEntries()
+      .then(entries => sendResponse({ success: true, entries }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'getProfiles') {
+    ProfileManager.list()
+      .then(profiles => sendResponse({ success: true, ...profiles }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'switchProfile') {
+    ProfileManager.switchTo(request.name)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'startBackfill') {
+    BackfillManager.start(handlePushToGitHub)
+      .then(state => sendResponse({ success: true, state }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'pauseBackfill') {
+    BackfillManager.pause()
+      .then(state => sendResponse({ success: true, state }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'resumeBackfill') {
+    BackfillManager.resume(handlePushToGitHub)
+      .then(state => sendResponse({ success: true, state }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'getBackfillStatus') {
+    BackfillManager.getState()
+      .then(state => sendResponse({ success: true, state }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'startDeviceFlow') {
+    StorageManager.getConfig()
+      .then(config => GitHubAuth.startDeviceFlow(request.clientId, GitHubAPI.getWebURL(config.github_api_url)))
+      .then(pending => {
+        // Keep polling after responding; progress is reported through storage
+        GitHubAuth.pollForToken(pending);
+        sendResponse({ success: true, pending });
+      })
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'signOut') {
+    StorageManager.getConfig()
+      .then(config => GitHubAuth.signOut(config))
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
   if (request.action === 'validateToken') {
-    handleValidateToken(request.token)
+    handleValidateToken(request.token, request.provider, request.apiUrl)
       .then(result => sendResponse(result))
       .catch(error => sendResponse({ valid: false, error: error.message }));
     return true;
@@ -52,84 +242,261 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
 /**
  * Handle push to GitHub
+ * Pass { silent: true } to skip the desktop notification (e.g. during backfill),
+ * and { force: true } to push a submission that is already in history (re-sync).
+ * In dry-run mode nothing is sent to the Git host; the planned commit is recorded in history instead.
  */
-async function handlePushToGitHub(data) {
+async function handlePushToGitHub(data, options = {}) {
   try {
+    // Content scripts send HackerRank's raw language identifier
+    data = { ...data, language: LanguageRegistry.resolve(data.language) };
+
     // Get configuration
     const config = await StorageManager.getConfig();
 
-    if (!config.github_token || !config.github_repo) {
-      throw new Error('GitHub not configured. Please set up your token and repository in options.');
+    const dryRun = Boolean(config.dry_run);
+    if ((!config.github_token && !dryRun) || !config.github_repo) {
+      throw new Error('Repository not configured. Please set up your token and repository in options.');
     }
 
-    // Validate token
-    const api = new GitHubAPI(config.github_token);
-    const isValid = await api.validateToken();
-    
-    if (!isValid) {
-      throw new Error('Invalid GitHub token. Please update your token in options.');
+    // Same HackerRank submission already synced (another tab, backfill, retry)
+    if (data.submissionId && !options.force) {
+      const existing = await StorageManager.findSubmission(data.submissionId);
+      if (existing) {
+        console.log('[HackPush] Submission already synced:', data.submissionId);
+        return { success: true, skipped: true, html_url: existing.githubUrl };
+      }
+    }
+
+    // Challenge details for routing, the header, commit message and README (best effort)
+    const challenge = await HackerRankAPI.getChallenge(data.problemSlug, data.contest || 'master').catch(error => {
+      console.warn('[HackPush] Could not fetch challenge details:', error);
+      return null;
+    });
+
+    // Excluded tracks or languages, low scores, already solved problems
+    const submissions = await StorageManager.getSubmissions();
+    const filtered = SyncFilters.check(config, data, challenge, submissions);
+    if (filtered) {
+      console.log('[HackPush] Submission filtered out:', filtered);
+      return { success: true, skipped: true, filtered };
+    }
+
+    // Routing rules may send this solution to another repository, branch or path template
+    const { repo: repoName, branch, fileStructure, rule } = RoutingRules.resolve(config, data, challenge);
+    if (rule) {
+      console.log('[HackPush] Routing rule matched:', rule.name || repoName);
     }
 
     // Parse repository (format: owner/repo)
-    const [owner, repo] = config.github_repo.split('/');
+    const [owner, repo] = repoName.split('/');
     if (!owner || !repo) {
       throw new Error('Invalid repository format. Use format: owner/repo');
     }
 
     // Generate file path
-    const fileStructure = config.file_structure || 'hackerrank/{category}/{filename}';
-    const extension = DOMParser.getFileExtension(data.language);
+    const extension = LanguageRegistry.getExtension(data.language);
     const filename = `${data.problemSlug}.${extension}`;
     
-    const filePath = GitHubAPI.generateFilePath(fileStructure, {
+    const filePath = GitProvider.generateFilePath(fileStructure, {
       category: data.category,
       filename: filename,
       slug: data.problemSlug,
-      language: data.language
-    });
-
-    // Format code with metadata
-    const formattedCode = GitHubAPI.formatFileContent(data.code, {
-      problemTitle: data.problemTitle,
       language: data.language,
-      timestamp: data.timestamp,
-      url: data.url
+      contest: GitProvider.getContestFolder(data.contest, data.playlist)
     });
 
+    // Pull request mode commits to a generated branch and opens a PR into `branch`
+    const pullRequestMode = config.delivery_mode === 'pull_request';
+    const targetBranch = pullRequestMode ? getPullRequestBranch(config, data) : branch;
+
+    // Validate token (cached, so this rarely costs a request)
+    const api = dryRun ? null : Providers.create(config, await GitHubAuth.getToken(config));
+    if (api && !(await api.validateToken())) {
+      throw new Error(`Invalid ${api.constructor.label} token. Please update your token in options.`);
+    }
+
+    // Until the PR branch exists it matches the base branch.
+    // A dry run can't look at the repository, so it goes by history.
+    let existingFile = null;
+    if (api) {
+      existingFile = await api.getFile(owner, repo, filePath, targetBranch);
+      if (!existingFile && targetBranch !== branch) {
+        existingFile = await api.getFile(owner, repo, filePath, branch);
+      }
+    }
+    const isUpdate = api
+      ? Boolean(existingFile)
+      : submissions.some(sub => !sub.dryRun && sub.filePath === filePath && (sub.repo || config.github_repo) === repoName);
+    const values = TemplateEngine.buildValues(data, { challenge, isUpdate });
+
+    // Format code with metadata (in the file, in a sidecar file, or not at all)
+    const headerPlacement = TemplateEngine.headerPlacement(config);
+    const formattedCode = headerPlacement === 'inline'
+      ? GitProvider.formatFileContent(data.code, values, TemplateEngine.headerTemplate(config))
+      : data.code;
+
+    // Skip the commit entirely if the repository already has exactly this file
+    const contentHash = await GitProvider.computeBlobSha(formattedCode);
+
+    if (existingFile && existingFile.sha === contentHash) {
+      console.log('[HackPush] File unchanged in repository, skipping commit:', filePath);
+      await StorageManager.addSubmissionRecord({
+        submissionId: data.submissionId || null,
+        contentHash,
+        problemSlug: data.problemSlug,
+        problemTitle: data.problemTitle,
+        language: data.language,
+        category: data.category,
+        score: data.score ?? null,
+        contest: data.contest || 'master',
+        playlist: data.playlist || null,
+        timestamp: data.timestamp,
+        syncedAt: new Date().toISOString(),
+        url: data.url,
+        githubUrl: existingFile.html_url,
+        repo: repoName,
+        branch: targetBranch,
+        filePath: filePath
+      });
+      return { success: true, skipped: true, html_url: existingFile.html_url };
+    }
+
     // Create commit message
-    const commitMessage = `Add solution for ${data.problemTitle} (${data.language})`;
-
-    // Push to GitHub
-    const branch = config.branch || 'main';
-    const result = await api.createOrUpdateFile(
-      owner,
-      repo,
-      filePath,
-      formattedCode,
-      commitMessage,
-      branch
-    );
+    const commitMessage = TemplateEngine.render(TemplateEngine.commitTemplate(config), values);
+
+    if (dryRun) {
+      const preview = {
+        commitMessage,
+        content: formattedCode,
+        files: [
+          filePath,
+          ...(headerPlacement === 'sidecar' ? [GitProvider.getSidecarPath(filePath)] : []),
+          ...(challenge ? [GitProvider.generateReadmePath(filePath, data.problemSlug)] : [])
+        ]
+      };
+      console.log('[HackPush] Dry run, not pushing:', preview);
+      await StorageManager.addSubmissionRecord({
+        submissionId: data.submissionId || null,
+        contentHash,
+        problemSlug: data.problemSlug,
+        problemTitle: data.problemTitle,
+        language: data.language,
+        category: data.category,
+        difficulty: challenge?.difficulty || null,
+        score: data.score ?? null,
+        contest: data.contest || 'master',
+        playlist: data.playlist || null,
+        timestamp: data.timestamp,
+        syncedAt: new Date().toISOString(),
+        url: data.url,
+        repo: repoName,
+        branch: targetBranch,
+        filePath: filePath,
+        dryRun: preview
+      });
+      return { success: true, dryRun: true, preview };
+    }
+
+    // Push to the repository
+    // Author and commit dates reflect the HackerRank submission time, not the sync time
+    const identity = await api.getCommitIdentity(config.commit_author_name, config.commit_author_email);
+    if (pullRequestMode) {
+      await api.ensureBranch(owner, repo, targetBranch, branch);
+    }
+    const builder = api.createCommitBuilder(owner, repo, targetBranch)
+      .setAuthor({ ...identity, date: data.timestamp })
+      .addFile(filePath, formattedCode);
+
+    if (headerPlacement === 'sidecar') {
+      builder.addFile(GitProvider.getSidecarPath(filePath), GitProvider.formatMetadata(values));
+    }
+
+    // Problem statement README next to the solution
+    if (challenge) {
+      const readmePath = GitProvider.generateReadmePath(filePath, data.problemSlug);
+      const variants = await getLanguageVariants(data.problemSlug, { language: data.language, path: filePath }, {
+        repo: repoName,
+        defaultRepo: config.github_repo
+      });
+      builder.addFile(readmePath, ReadmeGenerator.problemReadme(challenge, variants, readmePath));
+    }
+
+    // Root README index, rebuilt from the repository tree (best effort) on every commit attempt.
+    // Skipped for pull requests, where every open PR would conflict on it.
+    if (!pullRequestMode) {
+      const indexEntry = {
+        path: filePath,
+        title: data.problemTitle,
+        category: data.category,
+        track: challenge?.track || null,
+        language: data.language,
+        difficulty: challenge?.difficulty || null,
+        date: data.timestamp,
+        url: data.url
+      };
+      builder.addGeneratedFiles(() =>
+        buildRepositoryIndex(api, config, { repo: repoName, branch, fileStructure }, indexEntry).catch(error => {
+          console.warn('[HackPush] Could not update repository index:', error);
+          return [];
+        })
+      );
+    }
+
+    const result = await builder.commit(commitMessage);
+
+    if (pullRequestMode) {
+      result.pullRequest = await api.openPullRequest(owner, repo, {
+        head: targetBranch,
+        base: branch,
+        title: config.pr_branch_mode === 'daily'
+          ? `HackerRank solutions for ${targetBranch.split('/').pop()}`
+          : commitMessage.split('\n')[0],
+        buildBody: existing => buildPullRequestBody(existing, {
+          path: filePath,
+          title: data.problemTitle,
+          language: data.language,
+          difficulty: challenge?.difficulty || null,
+          url: data.url
+        })
+      });
+    }
 
     // Save submission record
     await StorageManager.addSubmissionRecord({
+      submissionId: data.submissionId || null,
+      contentHash,
       problemSlug: data.problemSlug,
       problemTitle: data.problemTitle,
       language: data.language,
       category: data.category,
+      difficulty: challenge?.difficulty || null,
+      score: data.score ?? null,
+      contest: data.contest || 'master',
+      playlist: data.playlist || null,
       timestamp: data.timestamp,
+      syncedAt: new Date().toISOString(),
+      url: data.url,
       githubUrl: result.html_url,
+      pullRequestUrl: result.pullRequest?.html_url || null,
+      repo: repoName,
+      branch: targetBranch,
       filePath: filePath
     });
 
     // Show notification
-    chrome.notifications.create({
-      type: 'basic',
-      iconUrl: 'icons/icon48.png',
-      title: 'HackPush',
-      message: `Solution synced to GitHub!\n${data.problemTitle}`
-    }).catch(() => {
-      // Notifications permission not granted, that's ok
-    });
+    if (!options.silent) {
+      chrome.notifications.create({
+        type: 'basic',
+        iconUrl: 'icons/icon48.png',
+        title: 'HackPush',
+        message: result.pullRequest
+          ? `Pull request ${result.pullRequest.created ? 'opened' : 'updated'}!\n${data.problemTitle}`
+          : `Solution synced to ${api.constructor.label}!\n${data.problemTitle}`
+      }).catch(() => {
+        // Notifications permission not granted, that's ok
+      });
+    }
 
     return result;
 
@@ -140,9 +507,142 @@ async function handlePushToGitHub(data) {
 }
 
 /**
- * Test connection to GitHub
+ * Fetch a history record's submission from HackerRank again and push it, even though it was synced before
+ */
+async function handleResyncSubmission(record) {
+  if (!record?.submissionId) {
+    throw new Error('This record has no HackerRank submission ID to re-sync from');
+  }
+
+  // Records from before contests were stored are practice submissions
+  const { contest = 'master', playlist = null, url = null } = record;
+  const submission = await HackerRankAPI.getSubmission(record.problemSlug, record.submissionId, contest);
+  return handlePushToGitHub(
+    HackerRankAPI.toPushData(submission, record.problemSlug, { contest, playlist, url }),
+    { force: true }
+  );
+}
+
+/**
+ * Regenerated root README and index metadata files, from the branch's current tree.
+ * The index covers every routing target sharing this repository and branch,
+ * whatever their path templates, so one target's push keeps the others' entries.
+ */
+async function buildRepositoryIndex(api, config, target, entry) {
+  const { repo: repoName, branch, fileStructure } = target;
+  const [owner, repo] = repoName.split('/');
+  const { tree, metadata, readme } = await RepositoryIndex.load(api, owner, repo, branch);
+
+  // Include the file being pushed, which isn't in the tree yet
+  const files = tree.some(file => file.path === entry.path) ? tree : [...tree, { path: entry.path }];
+  const { path, ...info } = entry;
+  metadata.files = metadata.files || {};
+  metadata.files[path] = info;
+
+  // Forget metadata for files that were removed from the repository
+  const paths = new Set(files.map(file => file.path));
+  Object.keys(metadata.files).forEach(key => {
+    if (!paths.has(key)) delete metadata.files[key];
+  });
+
+  // The pushing target's template wins for files more than one template matches
+  const templates = new Set([
+    fileStructure,
+    ...RoutingRules.targets(config)
+      .filter(other => other.repo === repoName && other.branch === branch)
+      .map(other => other.fileStructure)
+  ]);
+  const entries = new Map();
+  templates.forEach(template => {
+    RepositoryIndex.collect(files, template, metadata, (ext, hint) => LanguageRegistry.fromExtension(ext, hint))
+      .filter(item => !entries.has(item.path))
+      .forEach(item => entries.set(item.path, item));
+  });
+
+  return [
+    { path: INDEX_README_PATH, content: RepositoryIndex.mergeReadme(readme, ReadmeGenerator.indexReadme([...entries.values()])) },
+    { path: METADATA_PATH, content: JSON.stringify(metadata, null, 2) + '\n' }
+  ];
+}
+
+/**
+ * Provider for history tools that read the repository (statistics, reconcile)
+ */
+async function createConfiguredProvider() {
+  const config = await StorageManager.getConfig();
+  if (!config.github_token || !config.github_repo) {
+    throw new Error('Repository not configured');
+  }
+  return { config, api: Providers.create(config, await GitHubAuth.getToken(config)) };
+}
+
+/**
+ * Solutions found in the repository trees of every push target (default plus routing rules)
  */
-async function handleTestConnection() {
+async function getRepositoryEntries() {
+  const { config, api } = await createConfiguredProvider();
+  return HistoryReconciler.collectEntries(api, config);
+}
+
+/**
+ * Rebuild history from the repository and report what differs
+ */
+async function handleReconcileHistory() {
+  const { config, api } = await createConfiguredProvider();
+  return HistoryReconciler.reconcile(api, config);
+}
+
+/**
+ * Branch a pull request mode sync lands on: one per problem, or one per day.
+ * Days are sync days, so a backfill or retry run shares one branch however old the submissions are.
+ */
+function getPullRequestBranch(config, data) {
+  if (config.pr_branch_mode === 'daily') {
+    const today = new Date();
+    const month = String(today.getMonth() + 1).padStart(2, '0');
+    const day = String(today.getDate()).padStart(2, '0');
+    return `hackpush/${today.getFullYear()}-${month}-${day}`;
+  }
+  return `hackpush/${data.problemSlug}`;
+}
+
+/**
+ * Pull request description listing every problem synced to its branch
+ */
+function buildPullRequestBody(existing, entry) {
+  const marker = `\`${entry.path}\``;
+  const difficulty = entry.difficulty ? ` · ${entry.difficulty}` : '';
+  const line = `- [${entry.title}](${entry.url}) · ${LanguageRegistry.getDisplayName(entry.language)}${difficulty} · ${marker}`;
+
+  // Keep the other problems' lines; replace this file's line if it was synced before
+  const lines = (existing || '')
+    .split('\n')
+    .filter(item => item.startsWith('- ') && !item.endsWith(marker));
+
+  return `Solutions synced by HackPush.\n\n${[...lines, line].join('\n')}\n`;
+}
+
+/**
+ * All solved language variants of a problem in the target repository,
+ * from history plus the file being pushed. Records without a repo predate routing rules.
+ */
+async function getLanguageVariants(problemSlug, current, { repo, defaultRepo }) {
+  const submissions = await StorageManager.getSubmissions();
+  const variants = new Map();
+
+  submissions
+    .filter(sub => sub.problemSlug === problemSlug && sub.filePath && !sub.dryRun && (sub.repo || defaultRepo) === repo)
+    .forEach(sub => variants.set(sub.filePath, { language: sub.language, path: sub.filePath }));
+  variants.set(current.path, current);
+
+  return [...variants.values()].sort((a, b) => a.language.localeCompare(b.language));
+}
+
+/**
+ * Test connection to the configured Git host.
+ * With { createBranch: true }, a missing configured branch is created from the default branch.
+ */
+async function handleTestConnection({ createBranch = false } = {}) {
   try {
     const config = await StorageManager.getConfig();
 
@@ -150,7 +650,11 @@ async function handleTestConnection() {
       return { connected: false, error: 'Not configured' };
     }
 
-    const api = new GitHubAPI(config.github_token);
+    if (!(await hasHostPermission(config))) {
+      return { connected: false, error: 'Permission to access the API host was not granted. Save the options again to allow it.' };
+    }
+
+    const api = Providers.create(config, await GitHubAuth.getToken(config));
     
     // Validate token
     const isValid = await api.validateToken();
@@ -167,15 +671,31 @@ async function handleTestConnection() {
     const repoTest = await api.testRepository(owner, repo);
     
     if (repoTest.success) {
+      const branch = config.branch || 'main';
+      let branchCreated = false;
+      let warning = null;
+
+      // An empty repository has no default branch head; the first sync creates the branch
+      if (createBranch && repoTest.default_branch && branch !== repoTest.default_branch) {
+        try {
+          branchCreated = await api.ensureBranch(owner, repo, branch, repoTest.default_branch);
+        } catch (error) {
+          warning = `Could not create branch "${branch}": ${error.message}`;
+        }
+      }
+
       const submissions = await StorageManager.getSubmissions();
       return {
         connected: true,
         repo: repoTest.full_name,
-        branch: repoTest.default_branch,
-        submissionCount: submissions.length
+        branch,
+        defaultBranch: repoTest.default_branch,
+        branchCreated,
+        warning,
+        submissionCount: submissions.filter(sub => !sub.dryRun).length
       };
     } else {
-      return { connected: false, error: repoTest.error };
+      return { connected: false, error: repoTest.error, repoMissing: repoTest.status === 404 };
     }
 
   } catch (error) {
@@ -184,11 +704,44 @@ async function handleTestConnection() {
 }
 
 /**
- * Validate GitHub token
+ * Create the configured repository, optionally seeded with a README and .gitignore
+ * on the configured branch
+ */
+async function handleCreateRepository({ isPrivate = true, readme = true, gitignore = true }) {
+  const config = await StorageManager.getConfig();
+  const [owner, repo] = (config.github_repo || '').split('/');
+  if (!config.github_token || !owner || !repo) {
+    throw new Error('Save your token and repository (owner/repo) first');
+  }
+
+  const api = Providers.create(config, await GitHubAuth.getToken(config));
+  const created = await api.createRepository(owner, repo, {
+    isPrivate,
+    description: 'HackerRank solutions synced by HackPush'
+  });
+  console.log('[HackPush] Created repository:', created.full_name);
+
+  if (readme || gitignore) {
+    const builder = api.createCommitBuilder(owner, repo, config.branch || 'main');
+    if (readme) {
+      builder.addFile(INDEX_README_PATH, RepositoryIndex.mergeReadme(null, ReadmeGenerator.indexReadme([])));
+    }
+    if (gitignore) {
+      builder.addFile('.gitignore', INITIAL_GITIGNORE);
+    }
+    const identity = await api.getCommitIdentity(config.commit_author_name, config.commit_author_email);
+    await builder.setAuthor(identity).commit('Initial commit');
+  }
+
+  return { success: true, repo: created.full_name, html_url: created.html_url };
+}
+
+/**
+ * Validate a pasted token
  */
-async function handleValidateToken(token) {
+async function handleValidateToken(token, provider, apiUrl) {
   try {
-    const api = new GitHubAPI(token);
+    const api = Providers.create({ git_provider: provider, github_api_url: apiUrl }, token);
     const isValid = await api.validateToken();
     return { valid: isValid };
   } catch (error) {
@@ -196,30 +749,10 @@ async function handleValidateToken(token) {
   }
 }
 
-// Helper: Import DOMParser methods (since we're in service worker, we need a simple version)
-// Note: This is a minimal implementation for background script
-const DOMParser = {
-  getFileExtension: (language) => {
-    const extensionMap = {
-      'python3': 'py',
-      'java': 'java',
-      'javascript': 'js',
-      'cpp': 'cpp',
-      'c': 'c',
-      'csharp': 'cs',
-      'go': 'go',
-      'ruby': 'rb',
-      'swift': 'swift',
-      'kotlin': 'kt',
-      'scala': 'scala',
-      'rust': 'rs',
-      'php': 'php',
-      'typescript': 'ts',
-      'r': 'r',
-      'sql': 'sql',
-      'bash': 'sh'
-    };
-    return extensionMap[language] || 'txt';
-  }
-};
-
+/**
+ * Whether the extension may call the configured provider's API host
+ */
+async function hasHostPermission(config) {
+  const origin = Providers.get(config.git_provider).getHostPermission(config.github_api_url);
+  return chrome.permissions.contains({ origins: [origin] });
+}
@@ -0,0 +1,219 @@
+/**
+ * Bitbucket API Wrapper
+ * Bitbucket Cloud (REST API 2.0). Owner is the workspace, repo the repository slug.
+ */
+import { GitProvider } from './git-provider.js';
+
+const WEB_URL = 'https://bitbucket.org';
+
+export class BitbucketAPI extends GitProvider {
+  static id = 'bitbucket';
+  static label = 'Bitbucket';
+  static defaultBaseURL = 'https://api.bitbucket.org/2.0';
+  static apiPath = '/2.0';
+
+  // Bitbucket Server / Data Center has a different API, so there is nothing to configure
+  static normalizeBaseURL() {
+    return this.defaultBaseURL;
+  }
+
+  static getWebURL() {
+    return WEB_URL;
+  }
+
+  /**
+   * App passwords are entered as "username:app_password"; access tokens are used as-is
+   */
+  getHeaders() {
+    return {
+      'Authorization': this.token.includes(':')
+        ? `Basic ${GitProvider.encodeBase64(this.token)}`
+        : `Bearer ${this.token}`
+    };
+  }
+
+  fileURL(owner, repo, branch, path) {
+    return `${WEB_URL}/${owner}/${repo}/src/${branch}/${GitProvider.encodePath(path)}`;
+  }
+
+  /**
+   * Test repository access
+   */
+  async testRepository(owner, repo) {
+    try {
+      const data = await this.request(`/repositories/${owner}/${repo}`);
+      return {
+        success: true,
+        name: data.slug,
+        full_name: data.full_name,
+        default_branch: data.mainbranch?.name
+      };
+    } catch (error) {
+      return {
+        success: false,
+        status: error.status || null,
+        error: error.status && !error.rateLimited
+          ? `Repository not found or access denied (${error.status})`
+          : error.message
+      };
+    }
+  }
+
+  /**
+   * Create an empty repository in the workspace (in its default project)
+   */
+  async createRepository(owner, repo, { isPrivate = true, description = '' } = {}) {
+    const data = await this.request(`/repositories/${owner}/${repo}`, {
+      method: 'POST',
+      body: { scm: 'git', is_private: isPrivate, description }
+    });
+    return { full_name: data.full_name, html_url: data.links.html.href };
+  }
+
+  /**
+   * Get a file's blob SHA, text content and web URL, or null if it doesn't exist.
+   * Bitbucket serves raw content without a blob SHA, so it is computed locally.
+   */
+  async getFile(owner, repo, path, branch = 'main') {
+    try {
+      const response = await this.send(
+        `/repositories/${owner}/${repo}/src/${encodeURIComponent(branch)}/${GitProvider.encodePath(path)}`
+      );
+      const content = await response.text();
+      return {
+        sha: await GitProvider.computeBlobSha(content),
+        content,
+        html_url: this.fileURL(owner, repo, branch, path)
+      };
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List all files on a branch. Returns [] for an empty repository.
+   */
+  async getTree(owner, repo, branch = 'main') {
+    const files = [];
+    let next = `/repositories/${owner}/${repo}/src/${encodeURIComponent(branch)}/?max_depth=50&pagelen=100`;
+
+    try {
+      while (next) {
+        const data = await this.request(next);
+        data.values
+          .filter(entry => entry.type === 'commit_file')
+          .forEach(entry => files.push({ path: entry.path, type: 'blob' }));
+        next = data.next;
+      }
+    } catch (error) {
+      if (error.status === 404) {
+        return []; // Empty repository or missing branch
+      }
+      throw error;
+    }
+
+    return files;
+  }
+
+  /**
+   * Name and email to commit as: the configured values, else the token's account.
+   * Returns null when no email is available; Bitbucket then commits as the token's user.
+   */
+  async getCommitIdentity(name, email) {
+    if (name && email) {
+      return { name, email };
+    }
+
+    let user = null;
+    try {
+      user = await this.getUser();
+      if (!email) {
+        const emails = await this.request('/user/emails');
+        email = emails.values.find(entry => entry.is_primary)?.email;
+      }
+    } catch (error) {
+      // Access tokens and app passwords without the account/email scope can't read these
+      console.warn('[HackPush] Could not read Bitbucket account details:', error.message);
+    }
+
+    return email ? { name: name || user?.display_name || user?.nickname || email, email } : null;
+  }
+
+  /**
+   * Write several files in a single commit (src endpoint).
+   * Bitbucket sets the commit date itself, so `identity.date` is not applied.
+   */
+  async commitFiles(owner, repo, branch, files, message, identity = null) {
+    const form = new FormData();
+    form.append('message', message);
+    form.append('branch', branch);
+    if (identity?.email) {
+      form.append('author', `${identity.name} <${identity.email}>`);
+    }
+    files.forEach(file => form.append(file.path, file.content));
+
+    const response = await this.send(`/repositories/${owner}/${repo}/src`, { method: 'POST', body: form });
+
+    // The new commit is only reported through the Location header
+    const sha = (response.headers.get('Location') || '').split('/').pop();
+    return GitProvider.commitResult(
+      sha,
+      sha ? `${WEB_URL}/${owner}/${repo}/commits/${sha}` : `${WEB_URL}/${owner}/${repo}/commits/branch/${branch}`,
+      files,
+      path => this.fileURL(owner, repo, branch, path)
+    );
+  }
+
+  /**
+   * Create `branch` from the head of `base` unless it already exists
+   * @returns {boolean} Whether the branch was created
+   */
+  async ensureBranch(owner, repo, branch, base) {
+    const branches = `/repositories/${owner}/${repo}/refs/branches`;
+    try {
+      await this.request(`${branches}/${encodeURIComponent(branch)}`);
+      return false;
+    } catch (error) {
+      if (error.status !== 404) throw error;
+    }
+
+    const baseBranch = await this.request(`${branches}/${encodeURIComponent(base)}`);
+    await this.request(branches, {
+      method: 'POST',
+      body: { name: branch, target: { hash: baseBranch.target.hash } }
+    });
+    return true;
+  }
+
+  /**
+   * Open a pull request from `head` into `base`, or update the open one
+   * @param {Object} pr - { head, base, title, buildBody(existingBody) }
+   */
+  async openPullRequest(owner, repo, { head, base, title, buildBody }) {
+    const pulls = `/repositories/${owner}/${repo}/pullrequests`;
+    const query = `source.branch.name="${head}" AND destination.branch.name="${base}"`;
+    const { values: [existing] } = await this.request(`${pulls}?state=OPEN&q=${encodeURIComponent(query)}`);
+
+    if (existing) {
+      const updated = await this.request(`${pulls}/${existing.id}`, {
+        method: 'PUT',
+        body: { title: existing.title, description: buildBody(existing.description) }
+      });
+      return { number: updated.id, html_url: updated.links.html.href, created: false };
+    }
+
+    const created = await this.request(pulls, {
+      method: 'POST',
+      body: {
+        title,
+        description: buildBody(null),
+        source: { branch: { name: head } },
+        destination: { branch: { name: base } }
+      }
+    });
+    return { number: created.id, html_url: created.links.html.href, created: true };
+  }
+}
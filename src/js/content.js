@@ -3,62 +3,110 @@
  * Main logic for monitoring HackerRank submissions
  */
 
-let isProcessing = false;
-let processedSubmissions = new Set();
+const POLL_INTERVAL = 2000; // Between submission status checks
+const POLL_TIMEOUT = 3 * 60 * 1000; // Give up on slow judges after 3 minutes
+
+const PROCESSED_KEY = 'processed_submissions';
+const PROCESSED_LIMIT = 1000; // Most recent submission IDs kept for deduplication
+
+const SUBMISSIONS_PAGE_SIZE = 50;
+const SYNC_BUTTON_ID = 'hackpush-sync-button';
+const SYNC_BUTTON_DEBOUNCE = 500; // Wait for the editor to settle before looking for its toolbar
+
+let trackedSubmissions = new Set();
+let syncButtonObserver = null;
 
 /**
  * DOM Parser Utility - Inline to avoid ES module issues
  */
 const DOMParser = {
-  // Helper function to fetch submission data once
-  async fetchSubmissionData() {
-    const match = window.location.pathname.match(/\/challenges\/([^\/]+)/);
-    const challengeSlug = match ? match[1] : null;
+  // Playlists that get their own folder, in order of preference
+  knownPlaylists: [
+    'interview-preparation-kit',
+    '30-days-of-code',
+    '10-days-of-javascript',
+    '10-days-of-statistics'
+  ],
+
+  /**
+   * Parse the challenge location from any supported page layout:
+   *   /challenges/<slug>/problem                                  (practice)
+   *   /challenges/<slug>/problem?playlist_slugs[]=<playlist>...   (Interview Preparation Kit)
+   *   /challenges/<slug>/problem?slugs[]=tutorials&slugs[]=<tutorial>  (tutorials)
+   *   /contests/<contest>/challenges/<slug>[/problem]             (contests)
+   */
+  parseChallengeURL(location = window.location) {
+    const pathname = location.pathname;
+    const contestMatch = pathname.match(/\/contests\/([^\/]+)\/challenges\/([^\/]+)/);
+    const practiceMatch = pathname.match(/\/challenges\/([^\/]+)/);
+
+    const params = new URLSearchParams(location.search);
+    const playlists = [...params.getAll('playlist_slugs[]'), ...params.getAll('slugs[]')];
+    const playlist = playlists.find(slug => this.knownPlaylists.includes(slug)) ||
+                     playlists.find(slug => slug !== 'tutorials') ||
+                     null;
+
+    return {
+      contest: contestMatch ? contestMatch[1] : 'master',
+      challengeSlug: contestMatch ? contestMatch[2] : (practiceMatch ? practiceMatch[1] : null),
+      playlist
+    };
+  },
 
-    if (!challengeSlug) {
-      throw new Error('Could not extract challenge slug from URL');
+  /**
+   * Fetch one submission by ID (includes code and judge status)
+   */
+  async fetchSubmission(contest, challengeSlug, submissionId) {
+    const response = await fetch(
+      `https://www.hackerrank.com/rest/contests/${contest}/challenges/${challengeSlug}/submissions/${submissionId}`
+    );
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch submission details: ${response.status}`);
     }
 
-    try {
-      // Fetch submissions list
-      const submissionsResponse = await fetch(
-        `https://www.hackerrank.com/rest/contests/master/challenges/${challengeSlug}/submissions`
+    const data = await response.json();
+    if (!data.model) {
+      throw new Error('Submission response missing model data');
+    }
+    return data.model;
+  },
+
+  /**
+   * Most recent accepted submission for a challenge (with code), or null.
+   * The list endpoint is newest first and omits code, so the match is fetched by ID.
+   */
+  async fetchLatestAcceptedSubmission(contest, challengeSlug) {
+    for (let offset = 0; ; offset += SUBMISSIONS_PAGE_SIZE) {
+      const response = await fetch(
+        `https://www.hackerrank.com/rest/contests/${contest}/challenges/${challengeSlug}/submissions/` +
+        `?offset=${offset}&limit=${SUBMISSIONS_PAGE_SIZE}`
       );
-      
-      if (!submissionsResponse.ok) {
-        throw new Error(`Failed to fetch submissions: ${submissionsResponse.status}`);
+
+      if (!response.ok) {
+        throw new Error(`Failed to fetch submissions: ${response.status}`);
       }
 
-      const submissionsData = await submissionsResponse.json();
-      
-      if (submissionsData.models && submissionsData.models.length > 0) {
-        const latestId = submissionsData.models[0].id;
-        
-        // Fetch latest submission details
-        const submissionResponse = await fetch(
-          `https://www.hackerrank.com/rest/contests/master/challenges/${challengeSlug}/submissions/${latestId}`
-        );
-        
-        if (!submissionResponse.ok) {
-          throw new Error(`Failed to fetch submission details: ${submissionResponse.status}`);
-        }
+      const { models = [], total = 0 } = await response.json();
+      const accepted = models.find(model => model.status === 'Accepted');
+      if (accepted) {
+        return this.fetchSubmission(contest, challengeSlug, accepted.id);
+      }
 
-        const submissionData = await submissionResponse.json();
-        
-        if (submissionData.model) {
-          console.log('[HackPush] Successfully fetched submission data from API');
-          return submissionData.model;
-        } else {
-          throw new Error('Submission response missing model data');
-        }
-      } else {
-        throw new Error('No submissions found for this challenge');
+      if (models.length === 0 || offset + models.length >= total) {
+        return null;
       }
-    } catch (error) {
-      console.error('[HackPush] Error fetching submission data from API:', error);
-      throw error;
     }
   },
+
+  /**
+   * Whether the judge is still working on a submission
+   */
+  isSubmissionPending(submissionData) {
+    const status = (submissionData?.status || '').toLowerCase();
+    return !status || ['processing', 'queued', 'compiling', 'running'].includes(status);
+  },
+
   async extractCode(submissionData) {
     if (submissionData && submissionData.code) {
       console.log('[HackPush] Extracted code from submission data');
@@ -71,31 +119,15 @@ const DOMParser = {
 
   extractLanguage(submissionData) {
     if (submissionData && submissionData.language) {
+      // Raw HackerRank identifier; the background resolves it through the language registry
       const language = submissionData.language;
       console.log('[HackPush] Extracted language from submission data:', language);
-      return this.normalizeLanguage(language);
+      return language;
     }
     console.warn('[HackPush] Could not detect language, using default');
     return 'python3';
   },
 
-  normalizeLanguage(lang) {
-    const normalized = lang.toLowerCase().trim();
-    const languageMap = {
-      'python3': 'python3', 'python': 'python3', 'py': 'python3', 'python2': 'python',
-      'java': 'java', 'java8': 'java', 'java7': 'java', 'java15': 'java',
-      'javascript': 'javascript', 'js': 'javascript', 'node': 'javascript',
-      'cpp': 'cpp', 'cpp14': 'cpp', 'cpp11': 'cpp', 'c++': 'cpp', 'c': 'c',
-      'csharp': 'csharp', 'cs': 'csharp',
-      'go': 'go', 'golang': 'go',
-      'ruby': 'ruby', 'rb': 'ruby',
-      'swift': 'swift', 'kotlin': 'kotlin', 'scala': 'scala', 'rust': 'rust',
-      'php': 'php', 'typescript': 'typescript', 'ts': 'typescript',
-      'r': 'r', 'sql': 'sql', 'bash': 'bash', 'shell': 'bash'
-    };
-    return languageMap[normalized] || normalized;
-  },
-
   extractProblemTitle(submissionData) {
     if (submissionData && submissionData.name) {
       console.log('[HackPush] Extracted problem title from submission data:', submissionData.name);
@@ -113,8 +145,7 @@ const DOMParser = {
 
   extractProblemSlug() {
     // Extract challenge-slug from current URL
-    const match = window.location.pathname.match(/\/challenges\/([^\/]+)/);
-    const challengeSlug = match ? match[1] : null;
+    const { challengeSlug } = this.parseChallengeURL();
 
     if (challengeSlug) {
       console.log('[HackPush] Extracted problem slug from URL:', challengeSlug);
@@ -138,6 +169,19 @@ const DOMParser = {
     return 'misc';
   },
 
+  extractTimestamp(submissionData) {
+    // Use HackerRank's own submission time so history and commit dates stay accurate
+    const createdAt = submissionData?.created_at;
+    if (createdAt !== undefined && createdAt !== null) {
+      const date = typeof createdAt === 'number' ? new Date(createdAt * 1000) : new Date(createdAt);
+      if (!isNaN(date)) {
+        return date.toISOString();
+      }
+    }
+    console.warn('[HackPush] Submission missing created_at, using current time');
+    return new Date().toISOString();
+  },
+
   findSubmitButton() {
     // HackerRank submit button selectors (based on actual HTML structure)
     const buttonSelectors = [
@@ -176,6 +220,19 @@ const DOMParser = {
     return null;
   },
 
+  /**
+   * HackerRank's own "Submit Code" button in the editor toolbar, or null.
+   * Stricter than findSubmitButton so the sync button never lands next to another form's submit.
+   */
+  findEditorSubmitButton() {
+    const button = document.querySelector('button.hr-monaco-submit, button[data-analytics="SubmitCode"]');
+    if (button) return button;
+
+    // Exact label only: "submit" alone also matches search, feedback and discussion forms
+    return [...document.querySelectorAll('button')]
+      .find(item => item.textContent?.trim().toLowerCase() === 'submit code') || null;
+  },
+
   isSubmissionAccepted(submissionData) {
     if (submissionData) {
       const status = submissionData.status;
@@ -203,132 +260,181 @@ const DOMParser = {
  */
 function init() {
   console.log('[HackPush] Content script loaded');
-  console.log('[HackPush] Current URL:', window.location.pathname);
-  
-  // Check if we're on a problem page (handle both /problem and /problem/)
-  const pathname = window.location.pathname.trim();
-  const isProblemPage = pathname.includes('/problem') || 
-                        pathname.includes('/challenges/') ||
-                        /\/challenges\/[^\/]+\/problem/.test(pathname);
-  
-  console.log('[HackPush] Pathname:', pathname, 'Is problem page:', isProblemPage);
-  
-  if (!isProblemPage) {
-    console.log('[HackPush] Not on a problem page, skipping initialization');
-    return;
-  }
 
-  console.log('[HackPush] Problem page detected, initializing...');
+  // The MAIN-world page hook reports every submission HackerRank creates,
+  // whether it came from the submit button, Ctrl+Enter or anything else
+  window.addEventListener('message', (event) => {
+    if (event.source !== window || event.data?.source !== 'hackpush-page-hook') return;
 
-  // Monitor submit button
-  monitorSubmitButton();
+    if (event.data.type === 'submission') {
+      const { contest, challengeSlug, submissionId } = event.data;
+      console.log('[HackPush] Submission created:', submissionId, challengeSlug);
+      trackSubmission(contest, challengeSlug, submissionId);
+    }
+  });
+
+  // Manual sync requested from the popup
+  chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === 'syncCurrentProblem') {
+      syncCurrentProblem().then(sendResponse);
+      return true;
+    }
+  });
 
-  // Also monitor for result panels that might already exist
-  checkExistingResults();
+  // HackerRank renders the editor late and re-renders it on in-app navigation
+  watchForSubmitButton();
+  window.navigation?.addEventListener('navigatesuccess', watchForSubmitButton);
 }
 
 /**
- * Monitor submit button clicks
+ * Add the sync button once the editor toolbar appears. DOM changes are debounced,
+ * and the observer is disconnected as soon as the button is in place.
  */
-function monitorSubmitButton() {
-  const button = DOMParser.findSubmitButton();
-  
-  if (button) {
-    console.log('[HackPush] Submit button found');
-    button.addEventListener('click', handleSubmitClick, { once: false });
-  } else {
-    // Wait for submit button to appear
-    const observer = new MutationObserver(() => {
-      const btn = DOMParser.findSubmitButton();
-      if (btn && !btn.hasAttribute('data-hackpush-monitored')) {
-        btn.setAttribute('data-hackpush-monitored', 'true');
-        btn.addEventListener('click', handleSubmitClick, { once: false });
-        observer.disconnect();
+function watchForSubmitButton() {
+  if (injectSyncButton() || syncButtonObserver) return;
+
+  let timer = null;
+  syncButtonObserver = new MutationObserver(() => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      if (injectSyncButton()) {
+        syncButtonObserver?.disconnect();
+        syncButtonObserver = null;
       }
-    });
+    }, SYNC_BUTTON_DEBOUNCE);
+  });
+  syncButtonObserver.observe(document.body, { childList: true, subtree: true });
+}
 
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true
-    });
+/**
+ * Add a HackPush sync button next to HackerRank's submit button on challenge pages.
+ * Returns whether the button is on the page.
+ */
+function injectSyncButton() {
+  if (document.getElementById(SYNC_BUTTON_ID)) return true;
+  if (!DOMParser.parseChallengeURL().challengeSlug) return false;
+
+  const submitButton = DOMParser.findEditorSubmitButton();
+  if (!submitButton) return false;
+
+  const button = document.createElement('button');
+  button.id = SYNC_BUTTON_ID;
+  button.type = 'button';
+  button.textContent = 'Sync with HackPush';
+  button.title = 'Push your latest accepted submission for this problem';
+  button.style.cssText = `
+    margin-left: 8px;
+    padding: 6px 12px;
+    background: white;
+    color: #1f2937;
+    border: 1px solid #d1d5db;
+    border-radius: 4px;
+    cursor: pointer;
+    font-size: 14px;
+  `;
 
-    // Cleanup after 30 seconds
-    setTimeout(() => observer.disconnect(), 30000);
-  }
+  button.addEventListener('click', async () => {
+    button.disabled = true;
+    button.textContent = 'Syncing...';
+    await syncCurrentProblem();
+    button.disabled = false;
+    button.textContent = 'Sync with HackPush';
+  });
+
+  submitButton.insertAdjacentElement('afterend', button);
+  return true;
 }
 
 /**
- * Handle submit button click
+ * Push the latest accepted submission for the challenge on this page.
+ * Resolves with the background's response, or { success: false, error }.
  */
-function handleSubmitClick(event) {
-  console.log('[HackPush] Submit button clicked');
-  
-  if (isProcessing) {
-    console.log('[HackPush] Already processing a submission');
-    return;
+async function syncCurrentProblem() {
+  const { contest, challengeSlug } = DOMParser.parseChallengeURL();
+  if (!challengeSlug) {
+    return { success: false, error: 'Open a HackerRank challenge to sync it' };
   }
 
-  // No need to cache code - we'll fetch from API after submission
-  console.log('[HackPush] Waiting for submission to complete...');
-  
-  // Wait for submission to complete (give it time to reach HackerRank API)
-  setTimeout(() => {
-    checkSubmissionStatus();
-  }, 3000); // Wait 3 seconds for submission to be processed
+  try {
+    const submissionData = await DOMParser.fetchLatestAcceptedSubmission(contest, challengeSlug);
+    if (!submissionData) {
+      showNotification('No accepted submission for this problem yet', 'error');
+      return { success: false, error: 'No accepted submission for this problem yet' };
+    }
+
+    return await processAcceptedSubmission(submissionData.id, submissionData, { contest, challengeSlug });
+  } catch (error) {
+    console.error('[HackPush] Manual sync failed:', error);
+    showNotification(`Sync failed: ${error.message}`, 'error');
+    return { success: false, error: error.message };
+  }
 }
 
 /**
- * Check submission status via API
+ * Poll a specific submission until the judge finishes, then sync it if accepted
  */
-async function checkSubmissionStatus() {
-  if (isProcessing) {
-    console.log('[HackPush] Already processing a submission');
+async function trackSubmission(contest, challengeSlug, submissionId) {
+  if (trackedSubmissions.has(submissionId) || await isSubmissionProcessed(submissionId)) {
+    console.log('[HackPush] Already tracking or processed this submission');
     return;
   }
+  trackedSubmissions.add(submissionId);
 
-  isProcessing = true;
-  
   try {
-    console.log('[HackPush] Fetching submission data from API...');
-    // Fetch submission data once
-    const submissionData = await DOMParser.fetchSubmissionData();
-    
-    // Check if accepted
-    const isAccepted = DOMParser.isSubmissionAccepted(submissionData);
-    
-    if (isAccepted) {
-      console.log('[HackPush] Submission accepted!');
-      
-      // Create unique ID for this submission
-      const submissionId = `${Date.now()}-${Math.random()}`;
-      
-      // Check if we've already processed this submission
-      if (processedSubmissions.has(submissionId)) {
-        console.log('[HackPush] Already processed this submission');
-        isProcessing = false;
+    const deadline = Date.now() + POLL_TIMEOUT;
+    let submissionData;
+
+    while (true) {
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+      submissionData = await DOMParser.fetchSubmission(contest, challengeSlug, submissionId);
+
+      if (!DOMParser.isSubmissionPending(submissionData)) break;
+
+      if (Date.now() > deadline) {
+        console.warn('[HackPush] Timed out waiting for submission', submissionId);
+        showNotification('Timed out waiting for HackerRank to judge your submission', 'error');
         return;
       }
+    }
 
-      // Small delay to ensure API is fully updated
-      await new Promise(resolve => setTimeout(resolve, 1000));
-
-      // Pass the submission data to avoid re-fetching
-      await processAcceptedSubmission(submissionId, submissionData);
+    if (DOMParser.isSubmissionAccepted(submissionData)) {
+      console.log('[HackPush] Submission accepted!');
+      await processAcceptedSubmission(submissionId, submissionData, { contest, challengeSlug });
     } else {
-      console.log('[HackPush] Submission not accepted or still processing');
-      isProcessing = false;
+      console.log('[HackPush] Submission not accepted:', submissionData.status);
     }
   } catch (error) {
-    console.error('[HackPush] Error checking submission status:', error);
-    isProcessing = false;
+    console.error('[HackPush] Error tracking submission:', error);
+  } finally {
+    trackedSubmissions.delete(submissionId);
   }
 }
 
 
+/**
+ * Whether a submission ID was already handled in any tab
+ */
+async function isSubmissionProcessed(submissionId) {
+  const { [PROCESSED_KEY]: processed = [] } = await chrome.storage.local.get(PROCESSED_KEY);
+  return processed.includes(submissionId);
+}
+
+/**
+ * Persist a handled submission ID, keeping only the most recent ones
+ */
+async function markSubmissionProcessed(submissionId) {
+  const { [PROCESSED_KEY]: processed = [] } = await chrome.storage.local.get(PROCESSED_KEY);
+  if (!processed.includes(submissionId)) {
+    processed.push(submissionId);
+    await chrome.storage.local.set({ [PROCESSED_KEY]: processed.slice(-PROCESSED_LIMIT) });
+  }
+}
+
 /**
  * Process accepted submission
+ * Resolves with the background's response once the push finished
  */
-async function processAcceptedSubmission(submissionId, submissionData) {
+async function processAcceptedSubmission(submissionId, submissionData, target) {
   try {
     // Extract all data from the already-fetched submission data
     console.log('[HackPush] Extracting details from submission data...');
@@ -336,9 +442,14 @@ async function processAcceptedSubmission(submissionId, submissionData) {
     const code = await DOMParser.extractCode(submissionData);
     const language = DOMParser.extractLanguage(submissionData);
     const problemTitle = DOMParser.extractProblemTitle(submissionData);
-    const problemSlug = DOMParser.extractProblemSlug();
+    const problemSlug = target.challengeSlug;
+    const contest = target.contest;
     const category = DOMParser.extractCategory(submissionData);
-    const timestamp = new Date().toISOString();
+
+    // The playlist only comes from the URL, so use it only if the page is still on this challenge
+    const page = DOMParser.parseChallengeURL();
+    const playlist = page.challengeSlug === problemSlug ? page.playlist : null;
+    const timestamp = DOMParser.extractTimestamp(submissionData);
     const url = window.location.href;
 
     console.log('[HackPush] Extracted data:', {
@@ -349,19 +460,23 @@ async function processAcceptedSubmission(submissionId, submissionData) {
       codeLength: code.length
     });
 
-    // Mark as processed
-    processedSubmissions.add(submissionId);
+    // Mark as processed (shared across tabs and page reloads)
+    await markSubmissionProcessed(submissionId);
 
     // Send to background script
-    chrome.runtime.sendMessage(
+    return await new Promise(resolve => chrome.runtime.sendMessage(
       {
         action: 'pushToGitHub',
         data: {
+          submissionId,
           code,
           language,
           problemTitle,
           problemSlug,
           category,
+          score: submissionData.score ?? null,
+          contest,
+          playlist,
           timestamp,
           url
         }
@@ -370,36 +485,39 @@ async function processAcceptedSubmission(submissionId, submissionData) {
         if (chrome.runtime.lastError) {
           console.error('[HackPush] Error sending message:', chrome.runtime.lastError);
           showNotification('Error connecting to extension', 'error');
+          resolve({ success: false, error: 'Error connecting to extension' });
           return;
         }
 
         if (response && response.success) {
           console.log('[HackPush] Successfully pushed to GitHub:', response);
-          showNotification('Solution synced to GitHub!', 'success');
+          const result = response.result || {};
+          if (result.filtered) {
+            showNotification(`Not synced: ${result.filtered}`, 'info');
+          } else if (result.dryRun) {
+            showNotification(`Dry run: would commit ${result.preview.files[0]}`, 'info');
+          } else {
+            showNotification(
+              result.skipped ? 'Solution already up to date on GitHub' : 'Solution synced to GitHub!',
+              'success'
+            );
+          }
         } else {
           console.error('[HackPush] Failed to push:', response?.error);
-          showNotification(`Sync failed: ${response?.error || 'Unknown error'}`, 'error');
+          const retryNote = response?.queued ? ' (will retry automatically)' : '';
+          showNotification(`Sync failed: ${response?.error || 'Unknown error'}${retryNote}`, 'error');
         }
-        
-        isProcessing = false;
+        resolve(response);
       }
-    );
+    ));
 
   } catch (error) {
     console.error('[HackPush] Error processing submission:', error);
     showNotification(`Error: ${error.message}`, 'error');
-    isProcessing = false;
+    return { success: false, error: error.message };
   }
 }
 
-/**
- * Check for existing results (in case page was loaded after submission)
- */
-async function checkExistingResults() {
-  // Don't auto-process on page load to avoid duplicates
-  console.log('[HackPush] Skipping auto-check for existing submissions');
-}
-
 /**
  * Show notification to user
  */
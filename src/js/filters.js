@@ -0,0 +1,62 @@
+/**
+ * Sync Filters
+ * Decide whether an accepted submission should be synced at all
+ */
+import { LanguageRegistry } from './languages.js';
+import { RoutingRules } from './routing.js';
+
+export class SyncFilters {
+  /**
+   * Reason the submission is filtered out, or null to sync it
+   * @param {Object} config - Stored configuration
+   * @param {Object} data - Push payload (language already resolved)
+   * @param {Object|null} challenge - Challenge details (track, max score)
+   * @param {Array} submissions - Synced history records
+   */
+  static check(config, data, challenge, submissions) {
+    const categories = RoutingRules.parseValues(config.filter_exclude_categories);
+    const tracks = [data.category, challenge?.track].filter(Boolean).map(value => value.toLowerCase());
+    if (tracks.some(track => categories.includes(track))) {
+      return `${challenge?.track || data.category} is excluded`;
+    }
+
+    const languages = RoutingRules.parseValues(config.filter_exclude_languages).map(lang => LanguageRegistry.resolve(lang));
+    if (languages.includes(data.language)) {
+      return `${LanguageRegistry.getDisplayName(data.language)} is excluded`;
+    }
+
+    // Scores are only checked when HackerRank reports them
+    const score = data.score ?? null;
+    if (score !== null) {
+      const maxScore = challenge?.maxScore ?? null;
+      if (config.filter_full_marks && maxScore !== null && score < maxScore) {
+        return `Score ${score} is below full marks (${maxScore})`;
+      }
+      if (config.filter_min_score && score < config.filter_min_score) {
+        return `Score ${score} is below the minimum of ${config.filter_min_score}`;
+      }
+    }
+
+    // 'first' and 'improvement' compare with earlier syncs of the same problem and language.
+    // Re-syncing the same submission is always allowed.
+    const earlier = submissions.filter(
+      sub => !sub.dryRun && sub.problemSlug === data.problemSlug && sub.language === data.language &&
+             sub.submissionId !== data.submissionId
+    );
+
+    if (config.sync_policy === 'first' && earlier.length > 0) {
+      return 'Only the first accepted solution is synced';
+    }
+
+    if (config.sync_policy === 'improvement' && score !== null) {
+      // Records synced before scores were stored don't count
+      const scores = earlier.map(sub => sub.score).filter(value => typeof value === 'number');
+      const best = scores.length > 0 ? Math.max(...scores) : null;
+      if (best !== null && score <= best) {
+        return `Score ${score} doesn't improve on the best synced score (${best})`;
+      }
+    }
+
+    return null;
+  }
+}
@@ -0,0 +1,643 @@
+/**
+ * Git Provider
+ * Base class for Git hosting APIs, plus the path, header and encoding
+ * helpers shared by every provider.
+ *
+ * Providers implement testRepository(owner, repo), createRepository(owner, repo, options),
+ * getFile(owner, repo, path, branch), getTree(owner, repo, branch), fileURL(owner, repo, branch, path),
+ * getCommitIdentity(name, email) and
+ * commitFiles(owner, repo, branch, files, message, identity) (setting `branchMoved` on the error
+ * when a concurrent push made the commit fail, so it can be rebuilt and retried),
+ * ensureBranch(owner, repo, branch, base) and
+ * openPullRequest(owner, repo, { head, base, title, buildBody }).
+ * Requests go through send(), which tracks rate limits for every provider.
+ */
+import { TemplateEngine, DEFAULT_HEADER_TEMPLATE } from './templates.js';
+import { LanguageRegistry } from './languages.js';
+import { StorageManager } from './storage.js';
+
+export const RATE_LIMIT_KEY = 'rate_limit';
+const MAX_INLINE_WAIT = 60 * 1000; // Longer rate-limit waits are deferred to the caller
+const MAX_RATE_LIMIT_ATTEMPTS = 3;
+const VALIDATION_TTL = 60 * 60 * 1000; // Re-check a token at most hourly
+
+export class GitProvider {
+  static id = '';
+  static label = 'Git';
+  // Public host's API root, and the API path appended to bare self-hosted URLs
+  static defaultBaseURL = '';
+  static apiPath = '';
+
+  // API root + token -> current user, for commit identities
+  static userCache = new Map();
+  // API root + token -> time until which the token is known to be valid
+  static validatedTokens = new Map();
+  // API root + token -> { limit, remaining, resetAt } from the last response
+  static rateLimits = new Map();
+
+  constructor(token, baseURL) {
+    this.token = token;
+    this.baseURL = this.constructor.normalizeBaseURL(baseURL);
+  }
+
+  /**
+   * API root for a configured URL. A bare self-hosted host gets the provider's API path appended.
+   */
+  static normalizeBaseURL(url) {
+    const trimmed = (url || '').trim();
+    if (!trimmed) {
+      return this.defaultBaseURL;
+    }
+
+    const parsed = new URL(/^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+    if (this.isPublicHost(parsed.hostname)) {
+      return this.defaultBaseURL;
+    }
+
+    const path = parsed.pathname.replace(/\/+$/, '');
+    return `${parsed.origin}${path.endsWith(this.apiPath) ? path : `${path}${this.apiPath}`}`;
+  }
+
+  static isPublicHost(hostname) {
+    return hostname === new URL(this.defaultBaseURL).hostname;
+  }
+
+  /**
+   * Web UI root for an API root
+   */
+  static getWebURL(baseURL) {
+    const api = this.normalizeBaseURL(baseURL);
+    return api.slice(0, api.length - this.apiPath.length);
+  }
+
+  /**
+   * Origin pattern the extension needs host permission for
+   */
+  static getHostPermission(baseURL) {
+    return `${new URL(this.normalizeBaseURL(baseURL)).origin}/*`;
+  }
+
+  /**
+   * Authentication and content negotiation headers for every request
+   */
+  getHeaders() {
+    return { 'Authorization': `Bearer ${this.token}` };
+  }
+
+  cacheKey() {
+    return `${this.baseURL} ${this.token}`;
+  }
+
+  /**
+   * Make an authenticated request and return the response, throwing on non-OK statuses.
+   * `path` is relative to the API root unless it is an absolute URL.
+   * Short rate-limit waits are retried here; longer ones throw an error with
+   * `rateLimited` and `retryAt` set so callers can defer the work.
+   */
+  async send(path, { method = 'GET', body } = {}) {
+    this.checkQuota();
+
+    const headers = this.getHeaders();
+    let payload;
+    if (body instanceof FormData) {
+      payload = body;
+    } else if (body) {
+      headers['Content-Type'] = 'application/json';
+      payload = JSON.stringify(body);
+    }
+
+    const url = /^https?:\/\//.test(path) ? path : `${this.baseURL}${path}`;
+
+    for (let attempt = 1; ; attempt++) {
+      const response = await fetch(url, { method, headers, body: payload });
+      this.recordQuota(response.headers);
+
+      if (response.ok) {
+        return response;
+      }
+
+      const errorData = await response.json().catch(() => ({}));
+      const detail = errorData.message ?? errorData.error?.message ?? errorData.error;
+      const message = (typeof detail === 'string' ? detail : detail && JSON.stringify(detail)) || response.statusText;
+      const retryAt = GitProvider.getRetryAt(response, message);
+
+      if (retryAt && retryAt - Date.now() <= MAX_INLINE_WAIT && attempt < MAX_RATE_LIMIT_ATTEMPTS) {
+        console.warn('[HackPush] Rate limited, retrying in', Math.ceil((retryAt - Date.now()) / 1000), 'seconds');
+        await new Promise(resolve => setTimeout(resolve, Math.max(retryAt - Date.now(), 1000)));
+        continue;
+      }
+
+      if (response.status === 401) {
+        GitProvider.validatedTokens.delete(this.cacheKey());
+      }
+
+      const error = new Error(`${this.constructor.label} API error: ${response.status} - ${message}`);
+      error.status = response.status;
+      if (retryAt) {
+        error.rateLimited = true;
+        error.retryAt = retryAt;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * When a 403/429 is a rate limit, the time it lifts; null for other errors.
+   * Secondary limits send Retry-After; exhausted quotas send a remaining count of 0.
+   */
+  static getRetryAt(response, message) {
+    if (response.status !== 403 && response.status !== 429) {
+      return null;
+    }
+
+    const retryAfter = response.headers.get('Retry-After');
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      return Number.isNaN(seconds) ? Date.parse(retryAfter) : Date.now() + seconds * 1000;
+    }
+
+    const quota = this.readQuota(response.headers);
+    if (quota?.remaining === 0 && quota.resetAt) {
+      return quota.resetAt;
+    }
+
+    // Secondary limits without headers: GitHub asks to wait at least a minute
+    if (response.status === 429 || /rate limit/i.test(message)) {
+      return Date.now() + 60 * 1000;
+    }
+    return null;
+  }
+
+  /**
+   * Quota from response headers: GitHub sends X-RateLimit-*, GitLab RateLimit-*
+   */
+  static readQuota(headers) {
+    const get = name => headers.get(`X-RateLimit-${name}`) ?? headers.get(`RateLimit-${name}`);
+    const remaining = get('Remaining');
+    if (remaining === null) {
+      return null;
+    }
+
+    const reset = get('Reset');
+    return {
+      limit: Number(get('Limit')) || null,
+      remaining: Number(remaining),
+      resetAt: reset ? Number(reset) * 1000 : null
+    };
+  }
+
+  /**
+   * Remember the latest quota, and store it for the popup
+   */
+  recordQuota(headers) {
+    const quota = GitProvider.readQuota(headers);
+    if (!quota) {
+      return;
+    }
+
+    GitProvider.rateLimits.set(this.cacheKey(), quota);
+    StorageManager.set(RATE_LIMIT_KEY, {
+      ...quota,
+      provider: this.constructor.label,
+      updatedAt: Date.now()
+    }).catch(() => {});
+  }
+
+  /**
+   * Fail fast instead of spending requests while the quota is known to be exhausted
+   */
+  checkQuota() {
+    const quota = GitProvider.rateLimits.get(this.cacheKey());
+    if (quota?.remaining === 0 && quota.resetAt > Date.now()) {
+      const error = new Error(
+        `${this.constructor.label} API rate limit exhausted until ${new Date(quota.resetAt).toLocaleTimeString()}`
+      );
+      error.status = 403;
+      error.rateLimited = true;
+      error.retryAt = quota.resetAt;
+      throw error;
+    }
+  }
+
+  /**
+   * Make an authenticated request and return the parsed JSON body (null when empty)
+   */
+  async request(path, options) {
+    const response = await this.send(path, options);
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  }
+
+  /**
+   * The token's account, fetched once per provider and token
+   */
+  async getUser(path = '/user') {
+    const key = this.cacheKey();
+    if (!GitProvider.userCache.has(key)) {
+      GitProvider.userCache.set(key, await this.request(path));
+    }
+    return GitProvider.userCache.get(key);
+  }
+
+  /**
+   * Validate the token by fetching its account. A valid result is cached for an hour
+   * (or until a request gets a 401) so pushes don't spend a request on it.
+   * Rate-limit errors are rethrown rather than reported as an invalid token.
+   */
+  async validateToken() {
+    const key = this.cacheKey();
+    if (GitProvider.validatedTokens.get(key) > Date.now()) {
+      return true;
+    }
+
+    try {
+      await this.request('/user');
+      GitProvider.validatedTokens.set(key, Date.now() + VALIDATION_TTL);
+      return true;
+    } catch (error) {
+      if (error.rateLimited) {
+        throw error;
+      }
+      console.error('[HackPush] Token validation error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the decoded text content of a file, or null if it doesn't exist
+   */
+  async getFileContent(owner, repo, path, branch = 'main') {
+    const file = await this.getFile(owner, repo, path, branch);
+    return file ? file.content : null;
+  }
+
+  /**
+   * Start a multi-file commit on a branch
+   */
+  createCommitBuilder(owner, repo, branch = 'main') {
+    return new CommitBuilder(this, owner, repo, branch);
+  }
+
+  /**
+   * Result shape shared by every provider's commitFiles()
+   */
+  static commitResult(sha, commitURL, files, fileURL) {
+    const results = files.map(file => ({ path: file.path, html_url: fileURL(file.path) }));
+    return {
+      success: true,
+      commit: { sha, html_url: commitURL },
+      files: results,
+      html_url: results[0].html_url
+    };
+  }
+
+  /**
+   * URL-encode each segment of a repository path
+   */
+  static encodePath(path) {
+    return path.split('/').map(encodeURIComponent).join('/');
+  }
+
+  /**
+   * Base64-encode a UTF-8 string
+   */
+  static encodeBase64(content) {
+    return btoa(unescape(encodeURIComponent(content)));
+  }
+
+  /**
+   * Decode base64 (as returned by the Contents API) to a UTF-8 string
+   */
+  static decodeBase64(content) {
+    return decodeURIComponent(escape(atob(content.replace(/\s/g, ''))));
+  }
+
+  /**
+   * Git blob SHA-1 of a UTF-8 string, as Git hosts report it for file contents
+   */
+  static async computeBlobSha(content) {
+    const body = new TextEncoder().encode(content);
+    const header = new TextEncoder().encode(`blob ${body.length}\0`);
+    const bytes = new Uint8Array(header.length + body.length);
+    bytes.set(header);
+    bytes.set(body, header.length);
+
+    const digest = await crypto.subtle.digest('SHA-1', bytes);
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Format file content with metadata header
+   * @param {string} code - Solution source
+   * @param {Object} values - Placeholder values (see TemplateEngine.buildValues)
+   * @param {string|null} template - Header template; null leaves the code untouched
+   */
+  static formatFileContent(code, values, template = DEFAULT_HEADER_TEMPLATE) {
+    if (!template) {
+      return code;
+    }
+
+    const { language } = values;
+
+    // Determine comment style based on language
+    const style = LanguageRegistry.getCommentStyle(language);
+    if (!style) {
+      // No comment syntax that is safe to prepend for this language
+      return code;
+    }
+
+    const rendered = TemplateEngine.render(template, values).replace(/\s+$/, '');
+    const headerLines = GitProvider.escapeComment(rendered, style).split('\n');
+
+    let header = '';
+    if (style.line !== undefined) {
+      // Multi-line comment (Java, C++, etc.)
+      header = `${style.start}\n`;
+      header += headerLines.map(line => `${style.line}${line}`.trimEnd()).join('\n');
+      header += `\n${style.end}\n`;
+    } else if (style.docstring) {
+      // Python docstring format (proper multi-line)
+      header = `"""\n${headerLines.join('\n')}\n"""\n`;
+    } else {
+      // Single-line comments (Python #, SQL --, Bash #)
+      const lines = headerLines.map(line => (style.start + line).trimEnd());
+      if (style.end) {
+        lines[lines.length - 1] += ' ' + style.end;
+      }
+      header = lines.join('\n') + '\n';
+    }
+
+    return GitProvider.insertHeader(code, header, language);
+  }
+
+  /**
+   * Break up comment delimiters in header text (titles, URLs, template text) so a value
+   * can't end the header comment early, or open a nested one in languages that nest them.
+   * Line comments need nothing: every header line gets its own prefix.
+   */
+  static escapeComment(text, style) {
+    if (style.docstring) {
+      // Backslashes would otherwise be read as string escapes (\N, \x) inside the docstring
+      return text.replace(/\\/g, '\\\\').replace(/"""/g, '""\\"');
+    }
+    if (!style.end) {
+      return text;
+    }
+
+    return [style.start.trim(), style.end.trim()].reduce((escaped, marker) => {
+      if (marker.length === 1) {
+        // A single-character delimiter (Smalltalk's ") can't be split up
+        return escaped.split(marker).join(marker === '"' ? "'" : ' ');
+      }
+      return escaped.split(marker).join(`${marker[0]} ${marker.slice(1)}`);
+    }, text);
+  }
+
+  /**
+   * Insert a formatted header without breaking lines that must come first:
+   * shebangs, encoding cookies / magic comments, PHP open tags, LOLCODE's HAI
+   * and package declarations (Go, Java, Kotlin, Scala, Groovy).
+   */
+  static insertHeader(code, header, language) {
+    const id = LanguageRegistry.resolve(language);
+    const lines = code.split('\n');
+    let index = 0;
+
+    // Shebang (#!/bin/bash, #!/bin/python3, ...) must stay on line 1
+    if (lines[0]?.startsWith('#!')) {
+      index = 1;
+    }
+
+    // Python encoding cookies (PEP 263) and Ruby magic comments
+    while (index < lines.length && /^\s*#.*(coding[:=]|frozen_string_literal|warn_indent)/.test(lines[index])) {
+      index++;
+    }
+
+    if (id === 'php') {
+      // Text before <?php is emitted as output, so the header goes inside the PHP block
+      const tagIndex = lines.findIndex(line => /<\?(php|=)?/i.test(line));
+      if (tagIndex === -1) {
+        return `<?php\n${header}?>\n${code}`;
+      }
+      index = tagIndex + 1;
+    } else if (id === 'lolcode') {
+      const haiIndex = lines.findIndex(line => /^\s*HAI\b/.test(line));
+      if (haiIndex !== -1) index = haiIndex + 1;
+    } else if (['go', 'java', 'kotlin', 'scala', 'groovy'].includes(id)) {
+      // Only a package clause at the top of the file (after blanks, comments or build tags)
+      for (let i = index; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (/^package\s+[\w.]+\s*;?$/.test(line)) {
+          index = i + 1;
+          break;
+        }
+        if (line && !/^(\/\/|\/\*|\*)/.test(line)) {
+          break;
+        }
+      }
+    }
+
+    if (index === 0) {
+      return `${header}\n${code}`;
+    }
+
+    const before = lines.slice(0, index).join('\n');
+    const after = lines.slice(index).join('\n').replace(/^\n+/, '');
+    return `${before}\n\n${header}\n${after}`;
+  }
+
+  /**
+   * Repository path of the sidecar metadata file for a solution
+   */
+  static getSidecarPath(solutionPath) {
+    return `${solutionPath}.meta.json`;
+  }
+
+  /**
+   * Sidecar metadata (used instead of an in-file header)
+   */
+  static formatMetadata(values) {
+    const { title, slug, language, category, difficulty, score, maxScore, submissionId, timestamp, url } = values;
+    const metadata = { title, slug, language, category, difficulty, score, maxScore, submissionId, timestamp, url };
+
+    // Drop fields we don't know instead of writing empty strings
+    Object.keys(metadata).forEach(key => {
+      if (metadata[key] === '' || metadata[key] === null || metadata[key] === undefined) {
+        delete metadata[key];
+      }
+    });
+
+    return JSON.stringify({ ...metadata, syncedBy: 'HackPush' }, null, 2) + '\n';
+  }
+
+  /**
+   * Generate file path from template
+   */
+  static generateFilePath(template, data) {
+    const { category, filename, slug, language, contest = 'practice' } = data;
+    
+    // Sanitize filename (keeping the extension dot)
+    const sanitizedFilename = filename
+      .toLowerCase()
+      .replace(/[^a-z0-9.]+/g, '-')
+      .replace(/^-|-$/g, '');
+    
+    const sanitizedSlug = slug
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+
+    const sanitizedContest = contest
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+
+    let path = template
+      .replace(/\{category\}/g, category)
+      .replace(/\{contest\}/g, sanitizedContest)
+      .replace(/\{filename\}/g, sanitizedFilename)
+      .replace(/\{slug\}/g, sanitizedSlug)
+      .replace(/\{language\}/g, language);
+
+    // Remove double slashes
+    path = path.replace(/\/+/g, '/');
+
+    return path;
+  }
+
+  /**
+   * Folder name for the {contest} placeholder: the contest slug, else the
+   * playlist (Interview Preparation Kit, 30 Days of Code...), else "practice"
+   */
+  static getContestFolder(contest, playlist) {
+    if (contest && contest !== 'master') {
+      return contest;
+    }
+    return playlist || 'practice';
+  }
+
+  /**
+   * Reverse of generateFilePath: extract template variables from a repository path.
+   * Returns null when the path doesn't fit the template.
+   */
+  static parseFilePath(template, path) {
+    const seen = new Set();
+    const pattern = template
+      .replace(/\/+/g, '/')
+      .replace(/^\//, '')
+      .split(/(\{(?:category|filename|slug|language|contest)\})/)
+      .map(part => {
+        const name = part.match(/^\{(\w+)\}$/)?.[1];
+        if (!name) {
+          return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+        if (seen.has(name)) {
+          return `\\k<${name}>`;
+        }
+        seen.add(name);
+        return `(?<${name}>[^/]+)`;
+      })
+      .join('');
+
+    const match = path.replace(/^\//, '').match(new RegExp(`^${pattern}$`));
+    if (!match) {
+      return null;
+    }
+
+    const groups = { ...match.groups };
+    const filename = groups.filename || path.split('/').pop();
+    const dot = filename.lastIndexOf('.');
+    return {
+      ...groups,
+      filename,
+      slug: groups.slug || (dot > 0 ? filename.slice(0, dot) : filename),
+      extension: dot > 0 ? filename.slice(dot + 1) : ''
+    };
+  }
+
+  /**
+   * Path of the per-problem README for a solution file.
+   * Uses README.md when the solution lives in its own problem directory,
+   * otherwise <slug>.md so problems sharing a directory don't overwrite each other.
+   */
+  static generateReadmePath(solutionPath, slug) {
+    const parts = solutionPath.split('/');
+    parts.pop();
+
+    const sanitizedSlug = slug
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+
+    const name = parts[parts.length - 1] === sanitizedSlug ? 'README.md' : `${sanitizedSlug}.md`;
+    return [...parts, name].join('/');
+  }
+}
+
+/**
+ * Commit Builder
+ * Collects files and an author, then hands them to the provider's commitFiles().
+ * Generated files (e.g. the root README index) are rebuilt on every attempt, so a commit
+ * retried after the branch moved includes what the concurrent push added.
+ */
+class CommitBuilder {
+  static MAX_ATTEMPTS = 3;
+
+  constructor(provider, owner, repo, branch) {
+    this.provider = provider;
+    this.owner = owner;
+    this.repo = repo;
+    this.branch = branch;
+    this.files = [];
+    this.generators = [];
+    this.identity = null;
+  }
+
+  /**
+   * Use this name, email and date for both author and committer
+   */
+  setAuthor(identity) {
+    this.identity = identity;
+    return this;
+  }
+
+  addFile(path, content) {
+    this.files.push({ path: path.replace(/^\/+/, ''), content });
+    return this;
+  }
+
+  /**
+   * Add files built from the branch's current contents
+   * @param {Function} generate - async () => [{ path, content }], called before every attempt
+   */
+  addGeneratedFiles(generate) {
+    this.generators.push(generate);
+    return this;
+  }
+
+  async commit(message) {
+    for (let attempt = 1; ; attempt++) {
+      const generated = [];
+      for (const generate of this.generators) {
+        generated.push(...(await generate()));
+      }
+
+      const files = [
+        ...this.files,
+        ...generated.map(file => ({ path: file.path.replace(/^\/+/, ''), content: file.content }))
+      ];
+      if (files.length === 0) {
+        throw new Error('Nothing to commit');
+      }
+
+      try {
+        return await this.provider.commitFiles(this.owner, this.repo, this.branch, files, message, this.identity);
+      } catch (error) {
+        if (!error.branchMoved || attempt >= CommitBuilder.MAX_ATTEMPTS) {
+          throw error;
+        }
+        console.warn('[HackPush] Branch moved during commit, retrying on new head');
+      }
+    }
+  }
+}
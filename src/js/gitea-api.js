@@ -0,0 +1,200 @@
+/**
+ * Gitea API Wrapper
+ * Gitea and Forgejo (including Codeberg), REST API v1. Commits need Gitea 1.20+.
+ */
+import { GitProvider } from './git-provider.js';
+
+export class GiteaAPI extends GitProvider {
+  static id = 'gitea';
+  static label = 'Gitea';
+  static defaultBaseURL = 'https://codeberg.org/api/v1';
+  static apiPath = '/api/v1';
+
+  getHeaders() {
+    return {
+      'Authorization': `token ${this.token}`,
+      'Accept': 'application/json'
+    };
+  }
+
+  fileURL(owner, repo, branch, path) {
+    const web = GiteaAPI.getWebURL(this.baseURL);
+    return `${web}/${owner}/${repo}/src/branch/${branch}/${GitProvider.encodePath(path)}`;
+  }
+
+  /**
+   * Test repository access
+   */
+  async testRepository(owner, repo) {
+    try {
+      const data = await this.request(`/repos/${owner}/${repo}`);
+      return {
+        success: true,
+        name: data.name,
+        full_name: data.full_name,
+        default_branch: data.default_branch
+      };
+    } catch (error) {
+      return {
+        success: false,
+        status: error.status || null,
+        error: error.status && !error.rateLimited
+          ? `Repository not found or access denied (${error.status})`
+          : error.message
+      };
+    }
+  }
+
+  /**
+   * Create an empty repository for the token's user, or in an organization when `owner` is one
+   */
+  async createRepository(owner, repo, { isPrivate = true, description = '' } = {}) {
+    const user = await this.getUser();
+    const path = user.login.toLowerCase() === owner.toLowerCase() ? '/user/repos' : `/orgs/${owner}/repos`;
+    const data = await this.request(path, {
+      method: 'POST',
+      body: { name: repo, private: isPrivate, description }
+    });
+    return { full_name: data.full_name, html_url: data.html_url };
+  }
+
+  /**
+   * Get a file's blob SHA, decoded text content and web URL, or null if it doesn't exist
+   */
+  async getFile(owner, repo, path, branch = 'main') {
+    try {
+      const data = await this.request(
+        `/repos/${owner}/${repo}/contents/${GitProvider.encodePath(path)}?ref=${encodeURIComponent(branch)}`
+      );
+      return {
+        sha: data.sha,
+        content: GitProvider.decodeBase64(data.content || ''),
+        html_url: data.html_url
+      };
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List all files on a branch. Returns [] for an empty repository.
+   */
+  async getTree(owner, repo, branch = 'main') {
+    const files = [];
+
+    try {
+      for (let page = 1; ; page++) {
+        const data = await this.request(
+          `/repos/${owner}/${repo}/git/trees/${encodeURIComponent(branch)}?recursive=true&per_page=1000&page=${page}`
+        );
+        const entries = data.tree || [];
+        files.push(...entries.filter(entry => entry.type === 'blob'));
+        if (!data.truncated || entries.length === 0) {
+          break;
+        }
+      }
+    } catch (error) {
+      if (error.status === 404 || error.status === 409) {
+        return []; // Empty repository or missing branch
+      }
+      throw error;
+    }
+
+    return files;
+  }
+
+  /**
+   * Name and email to commit as: the configured values, else the token's account
+   */
+  async getCommitIdentity(name, email) {
+    if (name && email) {
+      return { name, email };
+    }
+
+    const user = await this.getUser();
+    return {
+      name: name || user.full_name || user.login,
+      email: email || user.email
+    };
+  }
+
+  /**
+   * Write several files in a single commit (change-files endpoint)
+   */
+  async commitFiles(owner, repo, branch, files, message, identity = null) {
+    const changes = [];
+    for (const file of files) {
+      const existing = await this.getFile(owner, repo, file.path, branch);
+      changes.push({
+        operation: existing ? 'update' : 'create',
+        path: file.path,
+        content: GitProvider.encodeBase64(file.content),
+        ...(existing && { sha: existing.sha })
+      });
+    }
+
+    const author = identity?.email ? { name: identity.name, email: identity.email } : null;
+    const data = await this.request(`/repos/${owner}/${repo}/contents`, {
+      method: 'POST',
+      body: {
+        branch,
+        message,
+        files: changes,
+        ...(author && { author, committer: author }),
+        ...(identity?.date && { dates: { author: identity.date, committer: identity.date } })
+      }
+    });
+
+    return GitProvider.commitResult(
+      data.commit.sha,
+      data.commit.html_url,
+      files,
+      path => this.fileURL(owner, repo, branch, path)
+    );
+  }
+
+  /**
+   * Create `branch` from `base` unless it already exists
+   * @returns {boolean} Whether the branch was created
+   */
+  async ensureBranch(owner, repo, branch, base) {
+    try {
+      await this.request(`/repos/${owner}/${repo}/branches/${encodeURIComponent(branch)}`);
+      return false;
+    } catch (error) {
+      if (error.status !== 404) throw error;
+    }
+
+    await this.request(`/repos/${owner}/${repo}/branches`, {
+      method: 'POST',
+      body: { new_branch_name: branch, old_branch_name: base }
+    });
+    return true;
+  }
+
+  /**
+   * Open a pull request from `head` into `base`, or update the open one
+   * @param {Object} pr - { head, base, title, buildBody(existingBody) }
+   */
+  async openPullRequest(owner, repo, { head, base, title, buildBody }) {
+    const open = await this.request(`/repos/${owner}/${repo}/pulls?state=open&limit=50`);
+    const existing = open.find(pr => pr.head?.ref === head && pr.base?.ref === base);
+
+    if (existing) {
+      const updated = await this.request(`/repos/${owner}/${repo}/pulls/${existing.number}`, {
+        method: 'PATCH',
+        body: { body: buildBody(existing.body) }
+      });
+      return { number: updated.number, html_url: updated.html_url, created: false };
+    }
+
+    const created = await this.request(`/repos/${owner}/${repo}/pulls`, {
+      method: 'POST',
+      body: { head, base, title, body: buildBody(null) }
+    });
+    return { number: created.number, html_url: created.html_url, created: true };
+  }
+}
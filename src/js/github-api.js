@@ -1,75 +1,67 @@
 /**
  * GitHub API Wrapper
- * Handles all GitHub API operations
+ * Handles all GitHub API operations (github.com and GitHub Enterprise Server)
  */
-export class GitHubAPI {
-  constructor(token) {
-    this.token = token;
-    this.baseURL = 'https://api.github.com';
+import { GitProvider } from './git-provider.js';
+
+export const DEFAULT_API_URL = 'https://api.github.com';
+
+export class GitHubAPI extends GitProvider {
+  static id = 'github';
+  static label = 'GitHub';
+  static defaultBaseURL = DEFAULT_API_URL;
+  // GitHub Enterprise Server serves the REST API under /api/v3
+  static apiPath = '/api/v3';
+
+  constructor(token, baseURL = DEFAULT_API_URL) {
+    super(token, baseURL);
+  }
+
+  static isPublicHost(hostname) {
+    return hostname === 'github.com' || hostname === 'api.github.com';
   }
 
   /**
-   * Validate GitHub token
+   * Web UI root for an API root (https://api.github.com -> https://github.com)
    */
-  async validateToken() {
-    try {
-      const response = await fetch(`${this.baseURL}/user`, {
-        headers: {
-          'Authorization': `token ${this.token}`,
-          'Accept': 'application/vnd.github.v3+json'
-        }
-      });
-      return response.ok;
-    } catch (error) {
-      console.error('[HackPush] Token validation error:', error);
-      return false;
-    }
+  static getWebURL(baseURL) {
+    const api = this.normalizeBaseURL(baseURL);
+    return api === DEFAULT_API_URL ? 'https://github.com' : super.getWebURL(api);
+  }
+
+  getHeaders() {
+    return {
+      'Authorization': `token ${this.token}`,
+      'Accept': 'application/vnd.github.v3+json'
+    };
+  }
+
+  /**
+   * Web page of a file on a branch
+   */
+  fileURL(owner, repo, branch, path) {
+    return `${GitHubAPI.getWebURL(this.baseURL)}/${owner}/${repo}/blob/${branch}/${GitProvider.encodePath(path)}`;
   }
 
   /**
    * Get file SHA if it exists
    */
   async getFileSha(owner, repo, path, branch = 'main') {
-    try {
-      const encodedPath = encodeURIComponent(path);
-      const response = await fetch(
-        `${this.baseURL}/repos/${owner}/${repo}/contents/${encodedPath}?ref=${branch}`,
-        {
-          headers: {
-            'Authorization': `token ${this.token}`,
-            'Accept': 'application/vnd.github.v3+json'
-          }
-        }
-      );
-
-      if (response.ok) {
-        const data = await response.json();
-        return data.sha;
-      } else if (response.status === 404) {
-        return null; // File doesn't exist
-      } else {
-        throw new Error(`GitHub API error: ${response.status}`);
-      }
-    } catch (error) {
-      console.error('[HackPush] Error getting file SHA:', error);
-      throw error;
-    }
+    const file = await this.getFile(owner, repo, path, branch);
+    return file ? file.sha : null;
   }
 
   /**
    * Create or update file using Contents API
    */
-  async createOrUpdateFile(owner, repo, path, content, message, branch = 'main') {
+  async createOrUpdateFile(owner, repo, path, content, message, branch = 'main', identity = null) {
     try {
-      // Encode content to base64
-      const encodedContent = btoa(unescape(encodeURIComponent(content)));
-
       // Get existing file SHA if it exists
       const sha = await this.getFileSha(owner, repo, path, branch);
 
       const body = {
         message,
-        content: encodedContent,
+        content: GitHubAPI.encodeBase64(content),
         branch
       };
 
@@ -77,28 +69,15 @@ export class GitHubAPI {
         body.sha = sha; // Required for updates
       }
 
-      const encodedPath = encodeURIComponent(path);
-      const response = await fetch(
-        `${this.baseURL}/repos/${owner}/${repo}/contents/${encodedPath}`,
-        {
-          method: 'PUT',
-          headers: {
-            'Authorization': `token ${this.token}`,
-            'Accept': 'application/vnd.github.v3+json',
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(body)
-        }
-      );
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(
-          `GitHub API error: ${response.status} - ${errorData.message || response.statusText}`
-        );
+      if (identity) {
+        body.author = identity;
+        body.committer = identity;
       }
 
-      const data = await response.json();
+      const data = await this.request(
+        `/repos/${owner}/${repo}/contents/${GitProvider.encodePath(path)}`,
+        { method: 'PUT', body }
+      );
       return {
         success: true,
         commit: data.commit,
@@ -112,124 +91,231 @@ export class GitHubAPI {
   }
 
   /**
-   * Test repository access
+   * List all files on a branch (recursive tree). Returns [] for an empty repository.
    */
-  async testRepository(owner, repo) {
+  async getTree(owner, repo, branch = 'main') {
+    try {
+      const data = await this.request(`/repos/${owner}/${repo}/git/trees/${branch}?recursive=1`);
+      if (data.truncated) {
+        console.warn('[HackPush] Repository tree truncated, index may be incomplete');
+      }
+      return data.tree.filter(entry => entry.type === 'blob');
+    } catch (error) {
+      if (error.status === 409) {
+        return []; // Empty repository
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get a file's blob SHA, decoded text content and web URL, or null if it doesn't exist
+   */
+  async getFile(owner, repo, path, branch = 'main') {
     try {
-      const response = await fetch(
-        `${this.baseURL}/repos/${owner}/${repo}`,
-        {
-          headers: {
-            'Authorization': `token ${this.token}`,
-            'Accept': 'application/vnd.github.v3+json'
-          }
-        }
+      const data = await this.request(
+        `/repos/${owner}/${repo}/contents/${GitProvider.encodePath(path)}?ref=${encodeURIComponent(branch)}`
       );
+      return {
+        sha: data.sha,
+        content: GitHubAPI.decodeBase64(data.content),
+        html_url: data.html_url
+      };
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Name and email to commit as: the configured values, else the token's GitHub account
+   */
+  async getCommitIdentity(name, email) {
+    if (name && email) {
+      return { name, email };
+    }
+
+    const user = await this.getUser();
+    const host = new URL(GitHubAPI.getWebURL(this.baseURL)).hostname;
+
+    return {
+      name: name || user.name || user.login,
+      // Private emails aren't returned; use the account's noreply address instead
+      email: email || user.email || `${user.id}+${user.login}@users.noreply.${host}`
+    };
+  }
 
-      if (response.ok) {
-        const data = await response.json();
-        return {
-          success: true,
-          name: data.name,
-          full_name: data.full_name,
-          default_branch: data.default_branch
-        };
-      } else {
-        return {
-          success: false,
-          error: `Repository not found or access denied (${response.status})`
-        };
+  /**
+   * Write several files in a single commit (Git Data API) and fast-forward the branch to it.
+   * If the branch moved meanwhile the error has `branchMoved` set, so the commit builder
+   * can regenerate its files on the new head and try again.
+   */
+  async commitFiles(owner, repo, branch, files, message, identity = null) {
+    const repoPath = `/repos/${owner}/${repo}`;
+
+    let headSha;
+    try {
+      headSha = (await this.request(`${repoPath}/git/ref/heads/${branch}`)).object.sha;
+    } catch (error) {
+      if (error.status === 409) {
+        // Empty repository: the Git Data API needs an existing commit to build on
+        return this.commitViaContentsAPI(owner, repo, branch, files, message, identity);
+      }
+      if (error.status === 404) {
+        throw new Error(`Branch "${branch}" not found in ${owner}/${repo}`);
+      }
+      throw error;
+    }
+
+    const entries = [];
+    for (const file of files) {
+      const blob = await this.request(`${repoPath}/git/blobs`, {
+        method: 'POST',
+        body: { content: GitHubAPI.encodeBase64(file.content), encoding: 'base64' }
+      });
+      entries.push({ path: file.path, mode: '100644', type: 'blob', sha: blob.sha });
+    }
+
+    const headCommit = await this.request(`${repoPath}/git/commits/${headSha}`);
+    const tree = await this.request(`${repoPath}/git/trees`, {
+      method: 'POST',
+      body: { base_tree: headCommit.tree.sha, tree: entries }
+    });
+    const commit = await this.request(`${repoPath}/git/commits`, {
+      method: 'POST',
+      body: {
+        message,
+        tree: tree.sha,
+        parents: [headSha],
+        ...(identity && { author: identity, committer: identity })
       }
+    });
+
+    try {
+      await this.request(`${repoPath}/git/refs/heads/${branch}`, {
+        method: 'PATCH',
+        body: { sha: commit.sha, force: false }
+      });
+    } catch (error) {
+      // 422 means the update was not a fast-forward: someone pushed in between
+      if (error.status === 422) {
+        error.branchMoved = true;
+      }
+      throw error;
+    }
+
+    return GitProvider.commitResult(
+      commit.sha,
+      commit.html_url,
+      files,
+      path => this.fileURL(owner, repo, branch, path)
+    );
+  }
+
+  /**
+   * Fallback for empty repositories: one Contents API commit per file
+   */
+  async commitViaContentsAPI(owner, repo, branch, files, message, identity) {
+    let last;
+    for (const file of files) {
+      last = await this.createOrUpdateFile(owner, repo, file.path, file.content, message, branch, identity);
+    }
+    return GitProvider.commitResult(
+      last.commit.sha,
+      last.commit.html_url,
+      files,
+      path => this.fileURL(owner, repo, branch, path)
+    );
+  }
+
+  /**
+   * Test repository access
+   */
+  async testRepository(owner, repo) {
+    try {
+      const data = await this.request(`/repos/${owner}/${repo}`);
+      return {
+        success: true,
+        name: data.name,
+        full_name: data.full_name,
+        default_branch: data.default_branch
+      };
     } catch (error) {
       return {
         success: false,
-        error: error.message
+        status: error.status || null,
+        error: error.status && !error.rateLimited
+          ? `Repository not found or access denied (${error.status})`
+          : error.message
       };
     }
   }
 
   /**
-   * Format file content with metadata header
+   * Create an empty repository for the token's user, or in an organization when `owner` is one
    */
-  static formatFileContent(code, metadata) {
-    const { problemTitle, language, timestamp, url } = metadata;
-    
-    // Determine comment style based on language
-    const commentStyles = {
-      'python3': { start: '"""', end: '"""' },
-      'java': { start: '/*', end: '*/', line: ' * ' },
-      'javascript': { start: '/*', end: '*/', line: ' * ' },
-      'cpp': { start: '/*', end: '*/', line: ' * ' },
-      'c': { start: '/*', end: '*/', line: ' * ' },
-      'csharp': { start: '/*', end: '*/', line: ' * ' },
-      'go': { start: '/*', end: '*/', line: ' * ' },
-      'ruby': { start: '=begin', end: '=end', line: ' ' },
-      'rust': { start: '/*', end: '*/', line: ' * ' },
-      'php': { start: '/*', end: '*/', line: ' * ' },
-      'typescript': { start: '/*', end: '*/', line: ' * ' },
-      'sql': { start: '-- ', end: '' },
-      'bash': { start: '# ', end: '' }
-    };
+  async createRepository(owner, repo, { isPrivate = true, description = '' } = {}) {
+    const user = await this.getUser();
+    const path = user.login.toLowerCase() === owner.toLowerCase() ? '/user/repos' : `/orgs/${owner}/repos`;
+    const data = await this.request(path, {
+      method: 'POST',
+      body: { name: repo, private: isPrivate, description }
+    });
+    return { full_name: data.full_name, html_url: data.html_url };
+  }
 
-    const style = commentStyles[language] || { start: '# ', end: '' };
-    
-    let header = '';
-    if (style.line) {
-      // Multi-line comment (Java, C++, etc.)
-      header = `${style.start}\n${style.line}Problem: ${problemTitle}\n`;
-      header += `${style.line}Language: ${language}\n`;
-      header += `${style.line}Submitted: ${timestamp}\n`;
-      header += `${style.line}HackerRank URL: ${url}\n`;
-      header += `${style.line}Auto-synced by HackPush\n`;
-      header += `${style.end}\n\n`;
-    } else if (language === 'python3' && style.start === '"""') {
-      // Python docstring format (proper multi-line)
-      header = `"""\nProblem: ${problemTitle}\nLanguage: ${language}\nSubmitted: ${timestamp}\nHackerRank URL: ${url}\nAuto-synced by HackPush\n"""\n\n`;
-    } else {
-      // Single-line comments (Python #, SQL --, Bash #)
-      const lines = [
-        style.start + `Problem: ${problemTitle}`,
-        style.start + `Language: ${language}`,
-        style.start + `Submitted: ${timestamp}`,
-        style.start + `HackerRank URL: ${url}`,
-        style.start + 'Auto-synced by HackPush'
-      ];
-      if (style.end) {
-        lines[lines.length - 1] += ' ' + style.end;
+  /**
+   * Create `branch` from the head of `base` unless it already exists
+   * @returns {boolean} Whether the branch was created
+   */
+  async ensureBranch(owner, repo, branch, base) {
+    try {
+      await this.request(`/repos/${owner}/${repo}/git/ref/heads/${branch}`);
+      return false;
+    } catch (error) {
+      if (error.status !== 404) throw error;
+    }
+
+    let baseRef;
+    try {
+      baseRef = await this.request(`/repos/${owner}/${repo}/git/ref/heads/${base}`);
+    } catch (error) {
+      if (error.status === 404 || error.status === 409) {
+        throw new Error(`Base branch "${base}" not found in ${owner}/${repo}`);
       }
-      header = lines.join('\n') + '\n\n';
+      throw error;
     }
 
-    return header + code;
+    await this.request(`/repos/${owner}/${repo}/git/refs`, {
+      method: 'POST',
+      body: { ref: `refs/heads/${branch}`, sha: baseRef.object.sha }
+    });
+    return true;
   }
 
   /**
-   * Generate file path from template
+   * Open a pull request from `head` into `base`, or update the open one
+   * @param {Object} pr - { head, base, title, buildBody(existingBody) }
    */
-  static generateFilePath(template, data) {
-    const { category, filename, slug, language } = data;
-    
-    // Sanitize filename
-    const sanitizedFilename = filename
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/^-|-$/g, '');
-    
-    const sanitizedSlug = slug
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/^-|-$/g, '');
-
-    let path = template
-      .replace(/\{category\}/g, category)
-      .replace(/\{filename\}/g, sanitizedFilename)
-      .replace(/\{slug\}/g, sanitizedSlug)
-      .replace(/\{language\}/g, language);
-
-    // Remove double slashes
-    path = path.replace(/\/+/g, '/');
-
-    return path;
+  async openPullRequest(owner, repo, { head, base, title, buildBody }) {
+    const [existing] = await this.request(
+      `/repos/${owner}/${repo}/pulls?state=open&head=${encodeURIComponent(`${owner}:${head}`)}&base=${encodeURIComponent(base)}`
+    );
+
+    if (existing) {
+      const updated = await this.request(`/repos/${owner}/${repo}/pulls/${existing.number}`, {
+        method: 'PATCH',
+        body: { body: buildBody(existing.body) }
+      });
+      return { number: updated.number, html_url: updated.html_url, created: false };
+    }
+
+    const created = await this.request(`/repos/${owner}/${repo}/pulls`, {
+      method: 'POST',
+      body: { title, head, base, body: buildBody(null) }
+    });
+    return { number: created.number, html_url: created.html_url, created: true };
   }
 }
-
@@ -0,0 +1,188 @@
+/**
+ * GitHub Auth
+ * OAuth device flow sign-in, token refresh and sign-out.
+ * Personal access tokens pasted in options keep working as a fallback.
+ */
+import { StorageManager } from './storage.js';
+import { GitHubAPI } from './github-api.js';
+
+// Relative to the web root (https://github.com or a GitHub Enterprise Server host)
+const DEVICE_CODE_PATH = '/login/device/code';
+const ACCESS_TOKEN_PATH = '/login/oauth/access_token';
+const DEFAULT_WEB_URL = 'https://github.com';
+const DEVICE_GRANT = 'urn:ietf:params:oauth:grant-type:device_code';
+const SCOPE = 'repo';
+const REFRESH_MARGIN = 5 * 60 * 1000; // Refresh tokens that expire within 5 minutes
+// Unauthenticated bulk revocation; GitHub Enterprise Server versions without it answer 404
+const REVOKE_PATH = '/credentials/revoke';
+
+export class GitHubAuth {
+  static async postForm(url, params) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams(params).toString()
+    });
+
+    if (!response.ok) {
+      throw new Error(`GitHub OAuth error: ${response.status}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Request a device code. The user enters `user_code` at `verification_uri`.
+   */
+  static async startDeviceFlow(clientId, webURL = DEFAULT_WEB_URL) {
+    if (!clientId) {
+      throw new Error('Enter the Client ID of your GitHub OAuth App first');
+    }
+
+    const data = await this.postForm(`${webURL}${DEVICE_CODE_PATH}`, { client_id: clientId, scope: SCOPE });
+    if (data.error) {
+      throw new Error(data.error_description || data.error);
+    }
+
+    const pending = {
+      clientId,
+      webURL,
+      deviceCode: data.device_code,
+      userCode: data.user_code,
+      verificationUri: data.verification_uri,
+      interval: data.interval || 5,
+      expiresAt: Date.now() + data.expires_in * 1000,
+      status: 'pending'
+    };
+    await StorageManager.set('oauth_pending', pending);
+    return pending;
+  }
+
+  /**
+   * Poll until the user approves (or denies, or the code expires) and store the token
+   */
+  static async pollForToken(pending) {
+    let interval = pending.interval;
+
+    try {
+      while (Date.now() < pending.expiresAt) {
+        await new Promise(resolve => setTimeout(resolve, interval * 1000));
+
+        // Stop if the flow was cancelled or restarted from the options page
+        const current = await StorageManager.get('oauth_pending');
+        if (!current || current.deviceCode !== pending.deviceCode) {
+          return null;
+        }
+
+        const data = await this.postForm(`${pending.webURL}${ACCESS_TOKEN_PATH}`, {
+          client_id: pending.clientId,
+          device_code: pending.deviceCode,
+          grant_type: DEVICE_GRANT
+        });
+
+        if (data.access_token) {
+          await this.saveToken(pending.clientId, pending.webURL, data);
+          await StorageManager.set('oauth_pending', { status: 'complete' });
+          return data.access_token;
+        }
+
+        if (data.error === 'authorization_pending') continue;
+        if (data.error === 'slow_down') {
+          interval = data.interval || interval + 5;
+          continue;
+        }
+        throw new Error(data.error_description || data.error || 'Authorization failed');
+      }
+      throw new Error('The sign-in code expired. Please try again.');
+    } catch (error) {
+      console.error('[HackPush] Device flow failed:', error);
+      await StorageManager.set('oauth_pending', { status: 'error', error: error.message });
+      return null;
+    }
+  }
+
+  static async saveToken(clientId, webURL, data) {
+    const now = Date.now();
+    await StorageManager.saveConfig({
+      github_token: data.access_token,
+      github_auth: {
+        method: 'oauth',
+        clientId,
+        webURL,
+        scope: data.scope || SCOPE,
+        refreshToken: data.refresh_token || null,
+        // Only GitHub Apps with token expiration enabled return these
+        expiresAt: data.expires_in ? now + data.expires_in * 1000 : null,
+        refreshTokenExpiresAt: data.refresh_token_expires_in ? now + data.refresh_token_expires_in * 1000 : null
+      }
+    });
+  }
+
+  /**
+   * Token to use for API calls, refreshed first if it is about to expire
+   */
+  static async getToken(config) {
+    const auth = config.github_auth;
+    if (!auth || auth.method !== 'oauth' || !auth.expiresAt || auth.expiresAt - Date.now() > REFRESH_MARGIN) {
+      return config.github_token;
+    }
+
+    if (!auth.refreshToken || (auth.refreshTokenExpiresAt && auth.refreshTokenExpiresAt < Date.now())) {
+      throw new Error('GitHub session expired. Please sign in again in options.');
+    }
+
+    const webURL = auth.webURL || DEFAULT_WEB_URL;
+    const data = await this.postForm(`${webURL}${ACCESS_TOKEN_PATH}`, {
+      client_id: auth.clientId,
+      grant_type: 'refresh_token',
+      refresh_token: auth.refreshToken
+    });
+
+    if (!data.access_token) {
+      throw new Error(`Could not refresh GitHub session (${data.error_description || data.error}). Please sign in again.`);
+    }
+
+    await this.saveToken(auth.clientId, webURL, data);
+    return data.access_token;
+  }
+
+  /**
+   * Revoke the OAuth token where the host supports it, then forget it.
+   * Revoking the app's grant itself needs the client secret, which a device flow app
+   * doesn't ship, so the result also carries the page where the user can revoke it.
+   * @returns {Object} { revoked, revokeUrl }
+   */
+  static async signOut(config) {
+    const { clientId, webURL = DEFAULT_WEB_URL } = config.github_auth || {};
+    const revoked = config.github_auth?.method === 'oauth' && config.github_token
+      ? await this.revokeToken(config.github_token, config.github_api_url)
+      : false;
+    const revokeUrl = clientId ? `${webURL}/settings/connections/applications/${clientId}` : null;
+
+    await StorageManager.saveConfig({
+      github_token: '',
+      github_auth: null,
+      oauth_pending: { status: 'signed_out', revoked, revokeUrl }
+    });
+    return { revoked, revokeUrl };
+  }
+
+  /**
+   * Ask GitHub to revoke a token. Resolves with whether it accepted the request.
+   */
+  static async revokeToken(token, apiURL) {
+    try {
+      const response = await fetch(`${GitHubAPI.normalizeBaseURL(apiURL)}${REVOKE_PATH}`, {
+        method: 'POST',
+        headers: { 'Accept': 'application/vnd.github+json', 'Content-Type': 'application/json' },
+        body: JSON.stringify({ credentials: [token] })
+      });
+      return response.ok;
+    } catch (error) {
+      console.warn('[HackPush] Could not revoke GitHub token:', error);
+      return false;
+    }
+  }
+}
@@ -0,0 +1,221 @@
+/**
+ * GitLab API Wrapper
+ * GitLab.com and self-managed GitLab (REST API v4)
+ */
+import { GitProvider } from './git-provider.js';
+
+export class GitLabAPI extends GitProvider {
+  static id = 'gitlab';
+  static label = 'GitLab';
+  static defaultBaseURL = 'https://gitlab.com/api/v4';
+  static apiPath = '/api/v4';
+
+  // Personal, project and OAuth tokens are all accepted as bearer tokens
+  getHeaders() {
+    return { 'Authorization': `Bearer ${this.token}` };
+  }
+
+  projectPath(owner, repo) {
+    return `/projects/${encodeURIComponent(`${owner}/${repo}`)}`;
+  }
+
+  fileURL(owner, repo, branch, path) {
+    const web = GitLabAPI.getWebURL(this.baseURL);
+    return `${web}/${owner}/${repo}/-/blob/${branch}/${GitProvider.encodePath(path)}`;
+  }
+
+  /**
+   * Test repository access
+   */
+  async testRepository(owner, repo) {
+    try {
+      const data = await this.request(this.projectPath(owner, repo));
+      return {
+        success: true,
+        name: data.path,
+        full_name: data.path_with_namespace,
+        default_branch: data.default_branch
+      };
+    } catch (error) {
+      return {
+        success: false,
+        status: error.status || null,
+        error: error.status && !error.rateLimited
+          ? `Repository not found or access denied (${error.status})`
+          : error.message
+      };
+    }
+  }
+
+  /**
+   * Create an empty project in the token user's namespace, or in the group named `owner`
+   */
+  async createRepository(owner, repo, { isPrivate = true, description = '' } = {}) {
+    const user = await this.getUser();
+    const body = {
+      name: repo,
+      path: repo,
+      description,
+      visibility: isPrivate ? 'private' : 'public'
+    };
+
+    if (user.username.toLowerCase() !== owner.toLowerCase()) {
+      const namespaces = await this.request(`/namespaces?search=${encodeURIComponent(owner)}`);
+      const namespace = namespaces.find(item => item.full_path.toLowerCase() === owner.toLowerCase());
+      if (!namespace) {
+        throw new Error(`GitLab group "${owner}" not found`);
+      }
+      body.namespace_id = namespace.id;
+    }
+
+    const data = await this.request('/projects', { method: 'POST', body });
+    return { full_name: data.path_with_namespace, html_url: data.web_url };
+  }
+
+  /**
+   * Get a file's blob SHA, decoded text content and web URL, or null if it doesn't exist
+   */
+  async getFile(owner, repo, path, branch = 'main') {
+    try {
+      const data = await this.request(
+        `${this.projectPath(owner, repo)}/repository/files/${encodeURIComponent(path)}?ref=${encodeURIComponent(branch)}`
+      );
+      return {
+        sha: data.blob_id,
+        content: GitProvider.decodeBase64(data.content),
+        html_url: this.fileURL(owner, repo, branch, path)
+      };
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List all files on a branch. Returns [] for an empty repository.
+   */
+  async getTree(owner, repo, branch = 'main') {
+    const files = [];
+    let page = '1';
+
+    try {
+      while (page) {
+        const response = await this.send(
+          `${this.projectPath(owner, repo)}/repository/tree?recursive=true&per_page=100` +
+          `&ref=${encodeURIComponent(branch)}&page=${page}`
+        );
+        const entries = await response.json();
+        entries
+          .filter(entry => entry.type === 'blob')
+          .forEach(entry => files.push({ path: entry.path, sha: entry.id, type: 'blob' }));
+        page = response.headers.get('X-Next-Page');
+      }
+    } catch (error) {
+      if (error.status === 404) {
+        return []; // Empty repository or missing branch
+      }
+      throw error;
+    }
+
+    return files;
+  }
+
+  /**
+   * Name and email to commit as: the configured values, else the token's GitLab account
+   */
+  async getCommitIdentity(name, email) {
+    if (name && email) {
+      return { name, email };
+    }
+
+    const user = await this.getUser();
+    const host = new URL(GitLabAPI.getWebURL(this.baseURL)).hostname;
+
+    return {
+      name: name || user.name || user.username,
+      email: email || user.commit_email || user.public_email || user.email ||
+        `${user.id}-${user.username}@users.noreply.${host}`
+    };
+  }
+
+  /**
+   * Write several files in a single commit (Commits API).
+   * GitLab sets the commit date itself, so `identity.date` is not applied.
+   */
+  async commitFiles(owner, repo, branch, files, message, identity = null) {
+    const actions = [];
+    for (const file of files) {
+      const existing = await this.getFile(owner, repo, file.path, branch);
+      actions.push({
+        action: existing ? 'update' : 'create',
+        file_path: file.path,
+        content: GitProvider.encodeBase64(file.content),
+        encoding: 'base64'
+      });
+    }
+
+    const commit = await this.request(`${this.projectPath(owner, repo)}/repository/commits`, {
+      method: 'POST',
+      body: {
+        branch,
+        commit_message: message,
+        actions,
+        ...(identity?.email && { author_name: identity.name, author_email: identity.email })
+      }
+    });
+
+    return GitProvider.commitResult(
+      commit.id,
+      commit.web_url,
+      files,
+      path => this.fileURL(owner, repo, branch, path)
+    );
+  }
+
+  /**
+   * Create `branch` from `base` unless it already exists
+   * @returns {boolean} Whether the branch was created
+   */
+  async ensureBranch(owner, repo, branch, base) {
+    const project = this.projectPath(owner, repo);
+    try {
+      await this.request(`${project}/repository/branches/${encodeURIComponent(branch)}`);
+      return false;
+    } catch (error) {
+      if (error.status !== 404) throw error;
+    }
+
+    await this.request(
+      `${project}/repository/branches?branch=${encodeURIComponent(branch)}&ref=${encodeURIComponent(base)}`,
+      { method: 'POST' }
+    );
+    return true;
+  }
+
+  /**
+   * Open a merge request from `head` into `base`, or update the open one
+   * @param {Object} pr - { head, base, title, buildBody(existingBody) }
+   */
+  async openPullRequest(owner, repo, { head, base, title, buildBody }) {
+    const project = this.projectPath(owner, repo);
+    const [existing] = await this.request(
+      `${project}/merge_requests?state=opened&source_branch=${encodeURIComponent(head)}&target_branch=${encodeURIComponent(base)}`
+    );
+
+    if (existing) {
+      const updated = await this.request(`${project}/merge_requests/${existing.iid}`, {
+        method: 'PUT',
+        body: { description: buildBody(existing.description) }
+      });
+      return { number: updated.iid, html_url: updated.web_url, created: false };
+    }
+
+    const created = await this.request(`${project}/merge_requests`, {
+      method: 'POST',
+      body: { source_branch: head, target_branch: base, title, description: buildBody(null) }
+    });
+    return { number: created.iid, html_url: created.web_url, created: true };
+  }
+}
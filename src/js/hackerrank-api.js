@@ -0,0 +1,137 @@
+/**
+ * HackerRank API Wrapper
+ * Handles HackerRank REST API calls made from extension pages and the service worker
+ */
+import { LanguageRegistry } from './languages.js';
+
+export class HackerRankAPI {
+  static baseURL = 'https://www.hackerrank.com';
+
+  /**
+   * Fetch JSON from the HackerRank REST API using the user's session cookies
+   */
+  static async request(path) {
+    const response = await fetch(`${this.baseURL}${path}`, {
+      credentials: 'include',
+      headers: { 'Accept': 'application/json' }
+    });
+
+    if (!response.ok) {
+      throw new Error(`HackerRank API error: ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Get one page of the user's submissions across all challenges (newest first)
+   */
+  static async getSubmissions(offset = 0, limit = 50) {
+    const data = await this.request(
+      `/rest/contests/master/submissions/?offset=${offset}&limit=${limit}`
+    );
+    return {
+      models: data.models || [],
+      total: data.total || 0
+    };
+  }
+
+  /**
+   * Get full submission details (including code)
+   */
+  static async getSubmission(challengeSlug, submissionId, contest = 'master') {
+    const data = await this.request(
+      `/rest/contests/${contest}/challenges/${challengeSlug}/submissions/${submissionId}`
+    );
+
+    if (!data.model) {
+      throw new Error('Submission response missing model data');
+    }
+    return data.model;
+  }
+
+  /**
+   * Get challenge details (statement, difficulty, score, track)
+   */
+  static async getChallenge(challengeSlug, contest = 'master') {
+    const data = await this.request(`/rest/contests/${contest}/challenges/${challengeSlug}`);
+
+    if (!data.model) {
+      throw new Error('Challenge response missing model data');
+    }
+
+    const model = data.model;
+    return {
+      slug: model.slug || challengeSlug,
+      name: model.name,
+      bodyHtml: model.body_html || '',
+      difficulty: model.difficulty_name || null,
+      maxScore: model.max_score ?? null,
+      track: model.track?.track_name || null,
+      subdomain: model.track?.name || null,
+      url: this.getChallengeURL(model.slug || challengeSlug, contest)
+    };
+  }
+
+  static getChallengeURL(challengeSlug, contest = 'master') {
+    return contest === 'master'
+      ? `${this.baseURL}/challenges/${challengeSlug}/problem`
+      : `${this.baseURL}/contests/${contest}/challenges/${challengeSlug}/problem`;
+  }
+
+  static isAccepted(submission) {
+    return submission.status === 'Accepted';
+  }
+
+  static getChallengeSlug(submission) {
+    return submission.challenge?.slug || submission.challenge_slug || null;
+  }
+
+  static getCategory(submission) {
+    if (submission && submission.track) {
+      const track = submission.track;
+      const category = (track.track_name || track.name || '').toLowerCase().replace(/\s+/g, '-');
+      if (category) {
+        return category;
+      }
+    }
+    return 'misc';
+  }
+
+  static getTimestamp(submission) {
+    const createdAt = submission.created_at;
+    if (typeof createdAt === 'number') {
+      // Epoch seconds
+      return new Date(createdAt * 1000).toISOString();
+    }
+    const date = new Date(createdAt);
+    return isNaN(date) ? new Date().toISOString() : date.toISOString();
+  }
+
+  static slugToTitle(slug) {
+    return slug
+      .split('-')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  }
+
+  /**
+   * Build the payload expected by the background push pipeline from a submission model
+   * @param {Object} source - { contest, playlist, url } the submission was made from (practice by default)
+   */
+  static toPushData(submission, challengeSlug, { contest = 'master', playlist = null, url = null } = {}) {
+    return {
+      submissionId: submission.id,
+      code: submission.code,
+      language: LanguageRegistry.resolve(submission.language),
+      problemTitle: submission.name || submission.challenge?.name || this.slugToTitle(challengeSlug),
+      problemSlug: challengeSlug,
+      category: this.getCategory(submission),
+      score: submission.score ?? null,
+      contest,
+      playlist,
+      timestamp: this.getTimestamp(submission),
+      url: url || this.getChallengeURL(challengeSlug, contest)
+    };
+  }
+}
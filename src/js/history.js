@@ -0,0 +1,174 @@
+/**
+ * Submission History
+ * Search, filtering and sorting of history records, and JSON/CSV export and import
+ */
+
+export const HISTORY_STATUSES = {
+  synced: 'Synced',
+  pull_request: 'Pull request',
+  dry_run: 'Dry run'
+};
+
+export const HISTORY_SORTS = {
+  newest: 'Newest first',
+  oldest: 'Oldest first',
+  title: 'Title A–Z'
+};
+
+// Columns written to and read from CSV, in order
+export const CSV_COLUMNS = [
+  'submissionId', 'problemSlug', 'problemTitle', 'language', 'category', 'difficulty', 'score',
+  'contest', 'playlist', 'timestamp', 'syncedAt', 'repo', 'branch', 'filePath', 'githubUrl', 'pullRequestUrl', 'url', 'contentHash'
+];
+
+const EXPORT_VERSION = 1;
+
+export class SubmissionHistory {
+  static status(record) {
+    if (record.dryRun) return 'dry_run';
+    return record.pullRequestUrl ? 'pull_request' : 'synced';
+  }
+
+  /**
+   * HackerRank page for a record (older records don't store one)
+   */
+  static problemURL(record) {
+    return record.url || `https://www.hackerrank.com/challenges/${record.problemSlug}/problem`;
+  }
+
+  /**
+   * Whether a record fits the search text and filters
+   * @param {Object} filters - { query, language, category, status, from, to } (from/to are YYYY-MM-DD)
+   */
+  static matches(record, filters) {
+    if (filters.language && record.language !== filters.language) return false;
+    if (filters.category && record.category !== filters.category) return false;
+    if (filters.status && this.status(record) !== filters.status) return false;
+
+    const day = (record.timestamp || '').slice(0, 10);
+    if (filters.from && day < filters.from) return false;
+    if (filters.to && day > filters.to) return false;
+
+    const terms = (filters.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return true;
+
+    const text = [
+      record.problemTitle, record.problemSlug, record.language, record.category,
+      record.difficulty, record.filePath, record.repo, record.submissionId
+    ].filter(Boolean).join(' ').toLowerCase();
+    return terms.every(term => text.includes(term));
+  }
+
+  static sort(records, order = 'newest') {
+    const byDate = (a, b) => new Date(a.timestamp) - new Date(b.timestamp);
+    const sorted = [...records];
+
+    if (order === 'title') {
+      return sorted.sort((a, b) =>
+        (a.problemTitle || a.problemSlug || '').localeCompare(b.problemTitle || b.problemSlug || ''));
+    }
+    return sorted.sort(order === 'oldest' ? byDate : (a, b) => byDate(b, a));
+  }
+
+  static toJSON(records) {
+    return JSON.stringify({ version: EXPORT_VERSION, exportedAt: new Date().toISOString(), submissions: records }, null, 2);
+  }
+
+  /**
+   * CSV of synced records. Dry-run previews are only included in JSON exports.
+   */
+  static toCSV(records) {
+    const escape = value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = records
+      .filter(record => !record.dryRun)
+      .map(record => CSV_COLUMNS.map(column => escape(record[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Records from an exported JSON or CSV file. Throws if the file can't be read.
+   */
+  static parseImport(text, filename = '') {
+    const isCSV = /\.csv$/i.test(filename) || !/^\s*[[{]/.test(text);
+    const records = isCSV ? this.parseCSV(text) : this.parseJSON(text);
+
+    return records
+      .filter(record => record && typeof record === 'object' && record.problemSlug)
+      .map(record => ({
+        ...record,
+        submissionId: record.submissionId ? Number(record.submissionId) || record.submissionId : null,
+        score: record.score === undefined || record.score === '' ? null : Number(record.score),
+        contest: record.contest || 'master',
+        playlist: record.playlist || null
+      }));
+  }
+
+  static parseJSON(text) {
+    const data = JSON.parse(text);
+    const records = Array.isArray(data) ? data : data.submissions;
+    if (!Array.isArray(records)) {
+      throw new Error('No submissions found in the file');
+    }
+    return records;
+  }
+
+  /**
+   * RFC 4180 CSV with a header row. Unknown columns are ignored.
+   */
+  static parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    const [header, ...data] = rows.filter(cells => cells.some(cell => cell !== ''));
+    if (!header || !header.includes('problemSlug')) {
+      throw new Error('CSV is missing a problemSlug column');
+    }
+
+    return data.map(cells => {
+      const record = {};
+      header.forEach((column, index) => {
+        if (CSV_COLUMNS.includes(column) && cells[index]) {
+          record[column] = cells[index];
+        }
+      });
+      return record;
+    });
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * Language Registry
+ * Single source of truth for HackerRank language identifiers:
+ * canonical id, display name, file extension, comment syntax and aliases
+ */
+
+// Comment styles used for file headers. `line` marks block comments with a per-line prefix.
+const C_BLOCK = { start: '/*', end: '*/', line: ' * ' };
+const DOCSTRING = { start: '"""', end: '"""', docstring: true };
+const HASH = { start: '# ', end: '' };
+const DOUBLE_DASH = { start: '-- ', end: '' };
+const DOUBLE_SLASH = { start: '// ', end: '' };
+const PERCENT = { start: '% ', end: '' };
+const SEMICOLON = { start: ';; ', end: '' };
+const ML_BLOCK = { start: '(*', end: '*)', line: ' * ' };
+
+/**
+ * Keyed by canonical id. Aliases cover HackerRank identifiers and common spellings.
+ * `comment: null` means a header cannot be added safely (every character is significant).
+ */
+export const LANGUAGES = {
+  'c': { name: 'C', extension: 'c', comment: C_BLOCK, aliases: [] },
+  'cpp': { name: 'C++', extension: 'cpp', comment: C_BLOCK, aliases: ['c++', 'cpp11', 'cpp14', 'cpp17', 'cpp20'] },
+  'csharp': { name: 'C#', extension: 'cs', comment: C_BLOCK, aliases: ['cs', 'c#'] },
+  'java': { name: 'Java', extension: 'java', comment: C_BLOCK, aliases: ['java7', 'java8', 'java15', 'java17'] },
+  'python3': { name: 'Python 3', extension: 'py', comment: DOCSTRING, aliases: ['py'] },
+  // HackerRank's "python" is Python 2
+  'python2': { name: 'Python 2', extension: 'py', comment: DOCSTRING, aliases: ['python'] },
+  'pypy': { name: 'PyPy 2', extension: 'py', comment: DOCSTRING, aliases: ['pypy2'] },
+  'pypy3': { name: 'PyPy 3', extension: 'py', comment: DOCSTRING, aliases: [] },
+  'javascript': { name: 'JavaScript', extension: 'js', comment: C_BLOCK, aliases: ['js', 'node', 'nodejs'] },
+  'typescript': { name: 'TypeScript', extension: 'ts', comment: C_BLOCK, aliases: ['ts'] },
+  'coffeescript': { name: 'CoffeeScript', extension: 'coffee', comment: HASH, aliases: [] },
+  'go': { name: 'Go', extension: 'go', comment: C_BLOCK, aliases: ['golang'] },
+  'ruby': { name: 'Ruby', extension: 'rb', comment: { start: '=begin', end: '=end', line: ' ' }, aliases: ['rb'] },
+  'php': { name: 'PHP', extension: 'php', comment: C_BLOCK, aliases: [] },
+  'perl': { name: 'Perl', extension: 'pl', comment: HASH, aliases: [] },
+  'swift': { name: 'Swift', extension: 'swift', comment: C_BLOCK, aliases: [] },
+  'kotlin': { name: 'Kotlin', extension: 'kt', comment: C_BLOCK, aliases: [] },
+  'scala': { name: 'Scala', extension: 'scala', comment: C_BLOCK, aliases: [] },
+  'groovy': { name: 'Groovy', extension: 'groovy', comment: C_BLOCK, aliases: [] },
+  'rust': { name: 'Rust', extension: 'rs', comment: C_BLOCK, aliases: [] },
+  'd': { name: 'D', extension: 'd', comment: C_BLOCK, aliases: [] },
+  'objectivec': { name: 'Objective-C', extension: 'm', comment: C_BLOCK, aliases: ['objc'] },
+  'dart': { name: 'Dart', extension: 'dart', comment: C_BLOCK, aliases: [] },
+  'haskell': { name: 'Haskell', extension: 'hs', comment: DOUBLE_DASH, aliases: [] },
+  'ocaml': { name: 'OCaml', extension: 'ml', comment: ML_BLOCK, aliases: [] },
+  'fsharp': { name: 'F#', extension: 'fs', comment: DOUBLE_SLASH, aliases: ['f#'] },
+  'erlang': { name: 'Erlang', extension: 'erl', comment: PERCENT, aliases: [] },
+  'elixir': { name: 'Elixir', extension: 'exs', comment: HASH, aliases: [] },
+  'clojure': { name: 'Clojure', extension: 'clj', comment: SEMICOLON, aliases: [] },
+  'racket': { name: 'Racket', extension: 'rkt', comment: SEMICOLON, aliases: [] },
+  'sbcl': { name: 'Common Lisp (SBCL)', extension: 'lisp', comment: SEMICOLON, aliases: ['lisp'] },
+  'lua': { name: 'Lua', extension: 'lua', comment: DOUBLE_DASH, aliases: [] },
+  'julia': { name: 'Julia', extension: 'jl', comment: HASH, aliases: [] },
+  'r': { name: 'R', extension: 'r', comment: HASH, aliases: [] },
+  'octave': { name: 'Octave', extension: 'm', comment: PERCENT, aliases: ['matlab'] },
+  'pascal': { name: 'Pascal', extension: 'pas', comment: ML_BLOCK, aliases: [] },
+  'fortran': { name: 'Fortran', extension: 'f90', comment: { start: '! ', end: '' }, aliases: [] },
+  'cobol': { name: 'COBOL', extension: 'cob', comment: { start: '      *> ', end: '' }, aliases: [] },
+  'smalltalk': { name: 'Smalltalk', extension: 'st', comment: { start: '"', end: '"', line: '' }, aliases: [] },
+  'tcl': { name: 'Tcl', extension: 'tcl', comment: HASH, aliases: [] },
+  'visualbasic': { name: 'Visual Basic', extension: 'vb', comment: { start: "' ", end: '' }, aliases: ['vb'] },
+  'lolcode': { name: 'LOLCODE', extension: 'lol', comment: { start: 'BTW ', end: '' }, aliases: [] },
+  'bash': { name: 'Bash', extension: 'sh', comment: HASH, aliases: ['shell', 'sh'] },
+  'sql': { name: 'SQL', extension: 'sql', comment: DOUBLE_DASH, aliases: [] },
+  'mysql': { name: 'MySQL', extension: 'sql', comment: DOUBLE_DASH, aliases: [] },
+  'oracle': { name: 'Oracle SQL', extension: 'sql', comment: DOUBLE_DASH, aliases: [] },
+  'tsql': { name: 'T-SQL', extension: 'sql', comment: DOUBLE_DASH, aliases: ['mssql'] },
+  'db2': { name: 'DB2', extension: 'sql', comment: DOUBLE_DASH, aliases: [] },
+  'brainfuck': { name: 'Brainfuck', extension: 'bf', comment: null, aliases: [] },
+  'whitespace': { name: 'Whitespace', extension: 'ws', comment: null, aliases: [] }
+};
+
+// alias -> canonical id
+const ALIASES = Object.entries(LANGUAGES).reduce((map, [id, language]) => {
+  map[id] = id;
+  language.aliases.forEach(alias => { map[alias] = id; });
+  return map;
+}, {});
+
+export class LanguageRegistry {
+  /**
+   * Canonical id for a HackerRank language identifier (unknown ids are returned lowercased)
+   */
+  static resolve(lang) {
+    const normalized = (lang || '').toLowerCase().trim();
+    return ALIASES[normalized] || normalized;
+  }
+
+  /**
+   * Registry entry for a language, with a safe fallback for unknown identifiers
+   */
+  static get(lang) {
+    const id = this.resolve(lang);
+    const language = LANGUAGES[id];
+    if (language) {
+      return { id, ...language };
+    }
+    // Unknown language: plain text, and no header since any comment syntax could break it
+    return { id, name: id || 'Unknown', extension: 'txt', comment: null, aliases: [] };
+  }
+
+  static getExtension(lang) {
+    return this.get(lang).extension;
+  }
+
+  static getCommentStyle(lang) {
+    return this.get(lang).comment;
+  }
+
+  static getDisplayName(lang) {
+    return this.get(lang).name;
+  }
+
+  /**
+   * Language for a file extension, or null. Extensions shared by several languages
+   * (.m for Objective-C and Octave, .py, .sql) are settled by `hint`, a language id or alias
+   * known for the file (index metadata, file header); otherwise the first registered wins.
+   */
+  static fromExtension(extension, hint = null) {
+    const ext = (extension || '').toLowerCase();
+    const matches = Object.keys(LANGUAGES).filter(id => LANGUAGES[id].extension === ext);
+    const hinted = hint ? this.resolve(hint) : null;
+    return matches.includes(hinted) ? hinted : (matches[0] || null);
+  }
+}
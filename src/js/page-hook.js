@@ -0,0 +1,81 @@
+/**
+ * Page Hook (runs in the page's MAIN world)
+ * Observes HackerRank's own submit requests and reports the new submission ID
+ * to the content script. Covers the submit button, Ctrl+Enter and any other trigger.
+ */
+(() => {
+  if (window.__hackpushHookInstalled) return;
+  window.__hackpushHookInstalled = true;
+
+  // POST /rest/contests/<contest>/challenges/<slug>/submissions
+  const SUBMIT_PATTERN = /\/rest\/contests\/([^\/]+)\/challenges\/([^\/]+)\/submissions\/?(?:\?|$)/;
+
+  function matchSubmit(method, url) {
+    if ((method || 'GET').toUpperCase() !== 'POST') return null;
+    try {
+      const { pathname, search } = new URL(url, window.location.href);
+      return (pathname + search).match(SUBMIT_PATTERN);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function report(match, body) {
+    try {
+      const data = typeof body === 'string' ? JSON.parse(body) : body;
+      const submissionId = data?.model?.id;
+      if (!submissionId) return;
+
+      window.postMessage({
+        source: 'hackpush-page-hook',
+        type: 'submission',
+        contest: match[1],
+        challengeSlug: match[2],
+        submissionId
+      }, window.location.origin);
+    } catch (e) {
+      // Not a JSON submission response, ignore
+    }
+  }
+
+  // fetch()
+  const originalFetch = window.fetch;
+  window.fetch = function (input, init) {
+    const url = typeof input === 'string' ? input : input?.url;
+    const method = init?.method || (typeof input === 'object' ? input?.method : 'GET');
+    const match = matchSubmit(method, url);
+    const promise = originalFetch.apply(this, arguments);
+
+    if (match) {
+      promise
+        .then(response => response.clone().json())
+        .then(body => report(match, body))
+        .catch(() => {});
+    }
+    return promise;
+  };
+
+  // XMLHttpRequest
+  const originalOpen = XMLHttpRequest.prototype.open;
+  const originalSend = XMLHttpRequest.prototype.send;
+
+  XMLHttpRequest.prototype.open = function (method, url) {
+    this.__hackpushMatch = matchSubmit(method, String(url));
+    return originalOpen.apply(this, arguments);
+  };
+
+  XMLHttpRequest.prototype.send = function () {
+    const match = this.__hackpushMatch;
+    if (match) {
+      this.addEventListener('load', () => {
+        if (this.status < 200 || this.status >= 300) return;
+        try {
+          report(match, this.responseType === 'json' ? this.response : this.responseText);
+        } catch (e) {
+          // responseText is unavailable for binary response types
+        }
+      });
+    }
+    return originalSend.apply(this, arguments);
+  };
+})();
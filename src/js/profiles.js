@@ -0,0 +1,242 @@
+/**
+ * Profiles
+ * Named sets of settings (e.g. personal vs. team repository), settings files
+ * and cross-device sync of non-secret settings
+ */
+import {
+  StorageManager, SECRET_KEYS, SYNC_ENABLED_KEY,
+  PROFILES_KEY, ACTIVE_PROFILE_KEY, DEFAULT_PROFILE, SYNC_PROFILE_PREFIX
+} from './storage.js';
+
+const EXPORT_FORMAT = 'hackpush-settings';
+const EXPORT_VERSION = 1;
+
+/**
+ * The active profile's settings are the regular config keys; `profiles` holds a copy of
+ * every profile (with its token), refreshed from the config keys before switching away.
+ * With sync on, each profile's non-secret settings are shared between devices, while
+ * the choice of active profile stays with each device.
+ */
+export class ProfileManager {
+  static async getState() {
+    const [profiles = {}, active = DEFAULT_PROFILE] = await Promise.all([
+      StorageManager.get(PROFILES_KEY),
+      StorageManager.get(ACTIVE_PROFILE_KEY)
+    ]);
+    return { profiles, active };
+  }
+
+  /**
+   * Profile names, including the active one before it was first stored
+   */
+  static async list() {
+    const { profiles, active } = await this.getState();
+    const names = [...new Set([active, ...Object.keys(profiles)])].sort((a, b) => a.localeCompare(b));
+    return { names, active };
+  }
+
+  /**
+   * Store the current configuration under the active profile's name
+   */
+  static async snapshot(state) {
+    state.profiles[state.active] = await StorageManager.getConfig();
+    await StorageManager.set(PROFILES_KEY, state.profiles);
+  }
+
+  /**
+   * Create a profile as a copy of the current settings and make it active
+   */
+  static async create(name) {
+    name = (name || '').trim();
+    if (!name) {
+      throw new Error('Enter a profile name');
+    }
+
+    const state = await this.getState();
+    if (name === state.active || state.profiles[name]) {
+      throw new Error(`A profile named "${name}" already exists`);
+    }
+
+    await this.snapshot(state);
+    state.profiles[name] = { ...state.profiles[state.active] };
+    await StorageManager.set(PROFILES_KEY, state.profiles);
+    await StorageManager.set(ACTIVE_PROFILE_KEY, name);
+    await StorageManager.pushActiveProfile();
+  }
+
+  /**
+   * Make another profile active on this device. Other devices keep their own choice.
+   */
+  static async switchTo(name) {
+    const state = await this.getState();
+    if (name === state.active) return;
+    if (!state.profiles[name]) {
+      throw new Error(`Profile "${name}" not found`);
+    }
+
+    await this.snapshot(state);
+    await StorageManager.replaceConfig(state.profiles[name]);
+    await StorageManager.set(ACTIVE_PROFILE_KEY, name);
+    console.log('[HackPush] Switched to profile:', name);
+  }
+
+  static async remove(name) {
+    const state = await this.getState();
+    if (name === state.active) {
+      throw new Error('Switch to another profile before deleting this one');
+    }
+
+    delete state.profiles[name];
+    await StorageManager.set(PROFILES_KEY, state.profiles);
+
+    if (await StorageManager.get(SYNC_ENABLED_KEY)) {
+      await chrome.storage.sync.remove(SYNC_PROFILE_PREFIX + name).catch(error => {
+        console.warn('[HackPush] Could not sync settings:', error);
+      });
+    }
+  }
+
+  /**
+   * Every profile's non-secret settings as a JSON settings file
+   */
+  static async exportSettings() {
+    const state = await this.getState();
+    await this.snapshot(state);
+
+    const profiles = Object.fromEntries(
+      Object.entries(state.profiles).map(([name, config]) => [name, StorageManager.sharedSettings(config)])
+    );
+    return JSON.stringify({
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      activeProfile: state.active,
+      profiles
+    }, null, 2);
+  }
+
+  /**
+   * Add or overwrite profiles from a settings file. Files carry no tokens,
+   * so profiles that already exist keep theirs. Resolves with the number of profiles imported.
+   */
+  static async importSettings(text) {
+    const data = JSON.parse(text);
+    if (data.format !== EXPORT_FORMAT || !data.profiles || typeof data.profiles !== 'object') {
+      throw new Error('Not a HackPush settings file');
+    }
+
+    const state = await this.getState();
+    await this.snapshot(state);
+
+    Object.entries(data.profiles).forEach(([name, settings]) => {
+      state.profiles[name] = this.withLocalSecrets(state.profiles[name], settings);
+    });
+    await StorageManager.set(PROFILES_KEY, state.profiles);
+
+    // The active profile's settings take effect right away
+    if (data.profiles[state.active]) {
+      await StorageManager.replaceConfig(state.profiles[state.active]);
+    }
+
+    if (await StorageManager.get(SYNC_ENABLED_KEY)) {
+      for (const name of Object.keys(data.profiles)) {
+        await StorageManager.pushProfile(name, state.profiles[name]);
+      }
+    }
+    return Object.keys(data.profiles).length;
+  }
+
+  /**
+   * Settings from a file or another device, with this device's token for the profile (if any)
+   */
+  static withLocalSecrets(existing = {}, settings) {
+    const secrets = Object.fromEntries(SECRET_KEYS.filter(key => key in existing).map(key => [key, existing[key]]));
+    return { ...secrets, ...StorageManager.sharedSettings(settings) };
+  }
+
+  /**
+   * Turn settings sync on or off. Turning it on adopts the profiles already synced
+   * from other devices and uploads the ones only this device has.
+   * Resolves with { profiles, activeChanged } as for pullFromSync.
+   */
+  static async setSyncEnabled(enabled) {
+    await StorageManager.set(SYNC_ENABLED_KEY, enabled);
+    if (!enabled) {
+      return { profiles: 0, activeChanged: false };
+    }
+
+    const result = await this.pullFromSync();
+    const { profiles } = await this.getState();
+    for (const [name, config] of Object.entries(profiles)) {
+      await StorageManager.pushProfile(name, config);
+    }
+    return result;
+  }
+
+  /**
+   * Merge every synced profile into this device's profiles, and apply the active
+   * one's settings if they changed. Resolves with the number of synced profiles
+   * and whether the active settings changed.
+   */
+  static async pullFromSync() {
+    if (!(await StorageManager.get(SYNC_ENABLED_KEY))) {
+      return { profiles: 0, activeChanged: false };
+    }
+
+    const synced = Object.entries(await chrome.storage.sync.get(null))
+      .filter(([key]) => key.startsWith(SYNC_PROFILE_PREFIX))
+      .map(([key, settings]) => [key.slice(SYNC_PROFILE_PREFIX.length), settings]);
+
+    const activeChanged = await this.mergeSynced(synced, []);
+    return { profiles: synced.length, activeChanged };
+  }
+
+  /**
+   * Apply profiles changed on another device (chrome.storage.onChanged for the sync area)
+   */
+  static async applySyncChanges(changes) {
+    if (!(await StorageManager.get(SYNC_ENABLED_KEY))) return;
+
+    const updated = [];
+    const removed = [];
+    Object.entries(changes)
+      .filter(([key]) => key.startsWith(SYNC_PROFILE_PREFIX))
+      .forEach(([key, { newValue }]) => {
+        const name = key.slice(SYNC_PROFILE_PREFIX.length);
+        if (newValue === undefined) {
+          removed.push(name);
+        } else {
+          updated.push([name, newValue]);
+        }
+      });
+
+    if (updated.length > 0 || removed.length > 0) {
+      await this.mergeSynced(updated, removed);
+    }
+  }
+
+  /**
+   * Store synced profile settings locally. A profile deleted elsewhere is kept
+   * here while it is active. Resolves with whether the active settings changed.
+   */
+  static async mergeSynced(updated, removed) {
+    const state = await this.getState();
+    await this.snapshot(state);
+    const current = StorageManager.sharedSettings(state.profiles[state.active]);
+
+    removed.filter(name => name !== state.active).forEach(name => { delete state.profiles[name]; });
+    updated.forEach(([name, settings]) => {
+      state.profiles[name] = this.withLocalSecrets(state.profiles[name], settings);
+    });
+    await StorageManager.set(PROFILES_KEY, state.profiles);
+
+    const activeSettings = updated.find(([name]) => name === state.active)?.[1];
+    if (!activeSettings || StorageManager.sameSettings(current, StorageManager.sharedSettings(activeSettings))) {
+      return false;
+    }
+
+    await StorageManager.replaceConfig(state.profiles[state.active]);
+    console.log('[HackPush] Applied synced settings for profile:', state.active);
+    return true;
+  }
+}
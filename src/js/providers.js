@@ -0,0 +1,32 @@
+/**
+ * Providers
+ * Registry of supported Git hosts, selected by the `git_provider` setting
+ */
+import { GitHubAPI } from './github-api.js';
+import { GitLabAPI } from './gitlab-api.js';
+import { GiteaAPI } from './gitea-api.js';
+import { BitbucketAPI } from './bitbucket-api.js';
+
+export const PROVIDERS = {
+  github: GitHubAPI,
+  gitlab: GitLabAPI,
+  gitea: GiteaAPI,
+  bitbucket: BitbucketAPI
+};
+
+export class Providers {
+  /**
+   * Provider class for an id (GitHub when unset or unknown)
+   */
+  static get(id) {
+    return PROVIDERS[id] || GitHubAPI;
+  }
+
+  /**
+   * API client for the configured provider and API URL
+   */
+  static create(config, token) {
+    const Provider = this.get(config.git_provider);
+    return new Provider(token, config.github_api_url);
+  }
+}
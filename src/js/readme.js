@@ -0,0 +1,203 @@
+/**
+ * README Generator
+ * Builds Markdown READMEs for synced problems
+ */
+import { LanguageRegistry } from './languages.js';
+
+export class ReadmeGenerator {
+  /**
+   * Build the per-problem README committed next to the solution files
+   * @param {Object} challenge - Challenge details from HackerRankAPI.getChallenge
+   * @param {Array<{language: string, path: string}>} variants - Solution files to link
+   * @param {string} readmePath - Repository path of the README (links are made relative to it)
+   */
+  static problemReadme(challenge, variants, readmePath) {
+    const lines = [`# [${challenge.name}](${challenge.url})`, ''];
+
+    const facts = [];
+    if (challenge.difficulty) facts.push(`**Difficulty:** ${challenge.difficulty}`);
+    if (challenge.maxScore !== null && challenge.maxScore !== undefined) {
+      facts.push(`**Max Score:** ${challenge.maxScore}`);
+    }
+    if (challenge.track) {
+      const track = challenge.subdomain ? `${challenge.track} › ${challenge.subdomain}` : challenge.track;
+      facts.push(`**Track:** ${track}`);
+    }
+    if (facts.length > 0) {
+      lines.push(facts.join(' · '), '');
+    }
+
+    const statement = this.htmlToMarkdown(challenge.bodyHtml);
+    if (statement) {
+      lines.push('## Problem', '', statement, '');
+    }
+
+    if (variants.length > 0) {
+      const readmeDir = readmePath.split('/').slice(0, -1).join('/');
+      lines.push('## Solutions', '', '| Language | File |', '| --- | --- |');
+      for (const variant of variants) {
+        const name = variant.path.split('/').pop();
+        lines.push(`| ${LanguageRegistry.getDisplayName(variant.language)} | [${name}](${this.relativePath(readmeDir, variant.path)}) |`);
+      }
+      lines.push('');
+    }
+
+    lines.push('---', '', '*Auto-synced by HackPush*', '');
+    return lines.join('\n');
+  }
+
+  /**
+   * Build the repository index: totals per track and a table of solutions per category
+   * @param {Array} entries - Solution entries from RepositoryIndex.collect
+   */
+  static indexReadme(entries) {
+    const titleCase = (slug) => slug
+      .split('-')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+
+    const problems = new Set(entries.map(entry => `${entry.category}/${entry.slug}`));
+    const lines = [
+      '## Progress',
+      '',
+      `**${entries.length}** solutions to **${problems.size}** problems.`,
+      ''
+    ];
+
+    if (entries.length === 0) {
+      return lines.join('\n');
+    }
+
+    // Totals per track
+    const tracks = new Map();
+    for (const entry of entries) {
+      const track = entry.track || titleCase(entry.category);
+      const totals = tracks.get(track) || { problems: new Set(), solutions: 0 };
+      totals.problems.add(entry.slug);
+      totals.solutions++;
+      tracks.set(track, totals);
+    }
+
+    lines.push('| Track | Problems | Solutions |', '| --- | ---: | ---: |');
+    [...tracks.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .forEach(([track, totals]) => {
+        lines.push(`| ${track} | ${totals.problems.size} | ${totals.solutions} |`);
+      });
+    lines.push('');
+
+    // Solutions grouped by category
+    const categories = new Map();
+    for (const entry of entries) {
+      const list = categories.get(entry.category) || [];
+      list.push(entry);
+      categories.set(entry.category, list);
+    }
+
+    [...categories.keys()].sort().forEach(category => {
+      const heading = categories.get(category).find(entry => entry.track)?.track || titleCase(category);
+      lines.push(`### ${heading}`, '', '| Problem | Language | Difficulty | Date |', '| --- | --- | --- | --- |');
+
+      categories.get(category)
+        .map(entry => ({ ...entry, title: entry.title || titleCase(entry.slug) }))
+        .sort((a, b) => a.title.localeCompare(b.title) || a.language.localeCompare(b.language))
+        .forEach(entry => {
+          const link = this.relativePath('', entry.path);
+          const date = entry.date ? entry.date.slice(0, 10) : '—';
+          lines.push(`| [${entry.title}](${link}) | ${LanguageRegistry.getDisplayName(entry.language)} | ${entry.difficulty || '—'} | ${date} |`);
+        });
+
+      lines.push('');
+    });
+
+    return lines.join('\n').trimEnd();
+  }
+
+  /**
+   * Path of `target` relative to the directory `fromDir` (both repository paths)
+   */
+  static relativePath(fromDir, target) {
+    const from = fromDir ? fromDir.split('/') : [];
+    const to = target.split('/');
+
+    let common = 0;
+    while (common < from.length && common < to.length - 1 && from[common] === to[common]) {
+      common++;
+    }
+
+    const up = new Array(from.length - common).fill('..');
+    return [...up, ...to.slice(common)].map(encodeURIComponent).join('/').replace(/%2E%2E/g, '..');
+  }
+
+  /**
+   * Convert HackerRank statement HTML to GitHub-flavored Markdown.
+   * Runs in the service worker, so it works on strings instead of the DOM.
+   */
+  static htmlToMarkdown(html) {
+    if (!html) return '';
+
+    // Set aside blocks that must not be touched by the inline rules below
+    const preserved = [];
+    const preserve = (text) => {
+      preserved.push(text);
+      return `\n\n\u0000${preserved.length - 1}\u0000\n\n`;
+    };
+
+    let md = html
+      .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+      .replace(/<pre[^>]*>([\s\S]*?)<\/pre>/gi, (_, code) => {
+        const text = this.decodeEntities(code.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, ''));
+        return preserve('```\n' + text.replace(/^\n+|\s+$/g, '') + '\n```');
+      })
+      // GitHub renders HTML tables; keep the structure but drop attributes
+      .replace(/<table[^>]*>[\s\S]*?<\/table>/gi, table => preserve(
+        table
+          .replace(/<(\/?)(table|thead|tbody|tr|th|td)(\s[^>]*)?>/gi, '<$1$2>')
+          .replace(/<(?!\/?(table|thead|tbody|tr|th|td|sup|sub)\b)[^>]+>/gi, '')
+      ));
+
+    md = md
+      .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level, text) => {
+        // Statement headings sit under the README's "## Problem" section
+        return `\n\n${'#'.repeat(Math.max(Number(level), 3))} ${text.trim()}\n\n`;
+      })
+      .replace(/<br\s*\/?>/gi, '  \n')
+      .replace(/<(strong|b)(\s[^>]*)?>([\s\S]*?)<\/\1>/gi, '**$3**')
+      .replace(/<(em|i)(\s[^>]*)?>([\s\S]*?)<\/\1>/gi, '*$3*')
+      .replace(/<code[^>]*>([\s\S]*?)<\/code>/gi, (_, code) => '`' + code.replace(/<[^>]+>/g, '') + '`')
+      .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, '[$2]($1)')
+      .replace(/<img\s[^>]*>/gi, (tag) => {
+        const src = (tag.match(/src="([^"]*)"/i) || [])[1];
+        const alt = (tag.match(/alt="([^"]*)"/i) || [])[1] || 'image';
+        if (!src) return '';
+        const url = src.startsWith('/') ? `https://www.hackerrank.com${src}` : src;
+        return `![${alt}](${url})`;
+      })
+      .replace(/<ol[^>]*>([\s\S]*?)<\/ol>/gi, (_, items) => '\n\n' + items.replace(/<li[^>]*>/gi, '\n1. ') + '\n\n')
+      .replace(/<li[^>]*>/gi, '\n- ')
+      .replace(/<\/li>/gi, '')
+      .replace(/<\/?(p|div|ul|ol|section|blockquote)(\s[^>]*)?>/gi, '\n\n')
+      .replace(/<hr\s*\/?>/gi, '\n\n---\n\n')
+      // Keep superscripts/subscripts (common in constraints), drop everything else
+      .replace(/<(?!\/?(sup|sub)\b)[^>]+>/gi, '');
+
+    md = this.decodeEntities(md)
+      .replace(/[ \t]+\n/g, match => (match.startsWith('  ') ? '  \n' : '\n'))
+      .replace(/\n(- |1\. )\s*\n+/g, '\n$1')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+
+    return md.replace(/\u0000(\d+)\u0000/g, (_, index) => preserved[Number(index)]);
+  }
+
+  static decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', le: '≤', ge: '≥', times: '×' };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return String.fromCodePoint(point);
+      }
+      return named[code.toLowerCase()] ?? entity;
+    });
+  }
+}
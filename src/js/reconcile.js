@@ -0,0 +1,153 @@
+/**
+ * History Reconciler
+ * Rebuilds the local submission history from the solution files in the repository
+ */
+import { GitProvider } from './git-provider.js';
+import { LanguageRegistry } from './languages.js';
+import { RepositoryIndex } from './repo-index.js';
+import { RoutingRules } from './routing.js';
+import { StorageManager } from './storage.js';
+import { TemplateEngine, DEFAULT_HEADER_TEMPLATE } from './templates.js';
+
+export class HistoryReconciler {
+  /**
+   * Solution entries in the tree of every push target (default plus routing rules).
+   * Each entry also carries its repo, branch and blob sha (when the host reports one).
+   */
+  static async collectEntries(api, config) {
+    const indexes = new Map();
+    const entries = new Map();
+
+    for (const target of RoutingRules.targets(config)) {
+      const [owner, repo] = target.repo.split('/');
+      const key = `${target.repo}@${target.branch}`;
+
+      try {
+        if (!indexes.has(key)) {
+          indexes.set(key, await RepositoryIndex.load(api, owner, repo, target.branch));
+        }
+      } catch (error) {
+        console.warn('[HackPush] Could not load repository tree for', key, error);
+        continue;
+      }
+
+      const { tree, metadata } = indexes.get(key);
+      const shas = new Map(tree.map(file => [file.path, file.sha || null]));
+      const paths = new Set(tree.map(file => file.path));
+
+      RepositoryIndex.collect(tree, target.fileStructure, metadata, (ext, hint) => LanguageRegistry.fromExtension(ext, hint))
+        .forEach(entry => entries.set(`${key}:${entry.path}`, {
+          ...entry,
+          repo: target.repo,
+          branch: target.branch,
+          sha: shas.get(entry.path),
+          hasSidecar: paths.has(GitProvider.getSidecarPath(entry.path))
+        }));
+    }
+
+    return [...entries.values()];
+  }
+
+  /**
+   * Add history records for solution files the history doesn't know about, and report
+   * both those files and history records whose file is no longer in the repository.
+   */
+  static async reconcile(api, config) {
+    const entries = await this.collectEntries(api, config);
+    const submissions = (await StorageManager.getSubmissions()).filter(sub => !sub.dryRun);
+    const repos = new Set(entries.map(entry => entry.repo));
+
+    // Files are matched on repository and path; branches differ in pull request mode
+    const fileKey = (repo, path) => `${repo}:${path}`;
+    const known = new Set(submissions.filter(sub => sub.filePath).map(sub => fileKey(sub.repo || config.github_repo, sub.filePath)));
+    const inRepository = new Set(entries.map(entry => fileKey(entry.repo, entry.path)));
+
+    const unknown = entries.filter(entry => !known.has(fileKey(entry.repo, entry.path)));
+    const missingFromRepository = submissions
+      .filter(sub => sub.filePath && repos.has(sub.repo || config.github_repo))
+      .filter(sub => !inRepository.has(fileKey(sub.repo || config.github_repo, sub.filePath)))
+      .map(sub => ({ title: sub.problemTitle || sub.problemSlug, repo: sub.repo || config.github_repo, path: sub.filePath }));
+
+    const template = TemplateEngine.headerTemplate(config) || DEFAULT_HEADER_TEMPLATE;
+    const records = [];
+    let headersRead = 0;
+    let rateLimited = false;
+
+    for (const entry of unknown) {
+      // Once rate limited, fall back to the index metadata for the remaining files
+      let values = {};
+      if (!rateLimited) {
+        try {
+          values = await this.readFileMetadata(api, entry, template);
+          headersRead++;
+        } catch (error) {
+          console.warn('[HackPush] Could not read', entry.path, error);
+          rateLimited = Boolean(error.rateLimited);
+        }
+      }
+      records.push(this.toRecord(api, entry, values));
+    }
+
+    const added = await StorageManager.addSubmissionRecords(records);
+    console.log('[HackPush] Reconciled history:', added, 'records added from', entries.length, 'repository files');
+
+    return {
+      files: entries.length,
+      matched: entries.length - unknown.length,
+      added,
+      headersRead,
+      headersSkipped: unknown.length - headersRead,
+      unknownLocally: unknown.map(entry => ({ title: entry.title || entry.slug, repo: entry.repo, path: entry.path })),
+      missingFromRepository
+    };
+  }
+
+  /**
+   * Placeholder values from the file's HackPush header, or from its sidecar metadata file
+   */
+  static async readFileMetadata(api, entry, template) {
+    const [owner, repo] = entry.repo.split('/');
+
+    if (entry.hasSidecar) {
+      const sidecar = await api.getFileContent(owner, repo, GitProvider.getSidecarPath(entry.path), entry.branch);
+      try {
+        return JSON.parse(sidecar || '{}');
+      } catch (error) {
+        return {};
+      }
+    }
+
+    const content = await api.getFileContent(owner, repo, entry.path, entry.branch);
+    return content ? TemplateEngine.parseHeader(template, content) : {};
+  }
+
+  /**
+   * History record for a repository file. Header values win over the index metadata.
+   */
+  static toRecord(api, entry, values) {
+    const [owner, repo] = entry.repo.split('/');
+    const timestamp = [values.timestamp, entry.date, values.date].find(date => date && !isNaN(new Date(date)));
+
+    return {
+      submissionId: Number(values.submissionId) || null,
+      contentHash: entry.sha,
+      problemSlug: entry.slug,
+      problemTitle: values.title || entry.title || entry.slug,
+      // The header's language settles extensions several languages share
+      language: values.language
+        ? LanguageRegistry.fromExtension(entry.path.split('.').pop(), values.language) || entry.language
+        : entry.language,
+      category: entry.category,
+      difficulty: values.difficulty || entry.difficulty || null,
+      score: values.score !== undefined && values.score !== '' && !isNaN(values.score) ? Number(values.score) : null,
+      timestamp: timestamp ? new Date(timestamp).toISOString() : null,
+      syncedAt: new Date().toISOString(),
+      url: values.url || entry.url || null,
+      githubUrl: api.fileURL(owner, repo, entry.branch, entry.path),
+      repo: entry.repo,
+      branch: entry.branch,
+      filePath: entry.path,
+      reconciled: true
+    };
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Repository Index
+ * Rebuilds the list of solved problems from the repository tree
+ */
+import { GitProvider } from './git-provider.js';
+
+// Per-file details that can't be recovered from paths (difficulty, date, title)
+export const METADATA_PATH = '.hackpush/index.json';
+export const INDEX_README_PATH = 'README.md';
+
+const INDEX_START = '<!-- HACKPUSH:INDEX:START -->';
+const INDEX_END = '<!-- HACKPUSH:INDEX:END -->';
+
+export class RepositoryIndex {
+  /**
+   * Load the tree and stored metadata for a branch
+   */
+  static async load(api, owner, repo, branch) {
+    const [tree, metadataText, readme] = await Promise.all([
+      api.getTree(owner, repo, branch),
+      api.getFileContent(owner, repo, METADATA_PATH, branch),
+      api.getFileContent(owner, repo, INDEX_README_PATH, branch)
+    ]);
+
+    let metadata = { version: 1, files: {} };
+    if (metadataText) {
+      try {
+        metadata = JSON.parse(metadataText);
+      } catch (error) {
+        console.warn('[HackPush] Ignoring unreadable index metadata:', error);
+      }
+    }
+
+    return { tree, metadata, readme };
+  }
+
+  /**
+   * Solution entries for every file in the tree matching the path template
+   * @param {Array} tree - Blob entries from the provider's getTree
+   * @param {string} template - file_structure path template
+   * @param {Object} metadata - Parsed METADATA_PATH contents
+   * @param {Function} getLanguage - Maps a file extension (and the language stored in metadata,
+   *   for extensions several languages share) to a language id (or null)
+   */
+  static collect(tree, template, metadata, getLanguage) {
+    const entries = [];
+
+    for (const file of tree) {
+      if (file.path.startsWith('.hackpush/')) continue;
+
+      const parsed = GitProvider.parseFilePath(template, file.path);
+      if (!parsed) continue;
+
+      const info = metadata.files?.[file.path] || {};
+      const language = parsed.language || getLanguage(parsed.extension, info.language);
+      if (!language) continue; // READMEs and other non-solution files
+
+      entries.push({
+        path: file.path,
+        slug: parsed.slug,
+        title: info.title || null,
+        category: parsed.category || info.category || 'misc',
+        track: info.track || null,
+        language,
+        difficulty: info.difficulty || null,
+        date: info.date || null,
+        url: info.url || null
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Return the root README with the index section inserted or replaced.
+   * Content outside the HackPush markers is left untouched.
+   */
+  static mergeReadme(existing, indexMarkdown) {
+    const section = `${INDEX_START}\n${indexMarkdown}\n${INDEX_END}`;
+
+    if (!existing) {
+      return `# HackerRank Solutions\n\n${section}\n`;
+    }
+
+    const start = existing.indexOf(INDEX_START);
+    const end = existing.indexOf(INDEX_END);
+    if (start !== -1 && end > start) {
+      return existing.slice(0, start) + section + existing.slice(end + INDEX_END.length);
+    }
+
+    return `${existing.replace(/\s+$/, '')}\n\n${section}\n`;
+  }
+}
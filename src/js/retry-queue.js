@@ -0,0 +1,147 @@
+/**
+ * Retry Queue
+ * Durable queue of failed pushes, retried with exponential backoff via chrome.alarms
+ */
+import { StorageManager } from './storage.js';
+
+const QUEUE_KEY = 'retry_queue';
+export const RETRY_ALARM = 'hackpush-retry';
+
+const BASE_DELAY = 60 * 1000; // 1 minute
+const MAX_DELAY = 6 * 60 * 60 * 1000; // 6 hours
+const MAX_ATTEMPTS = 10; // After this, items wait for a manual retry
+
+// Serializes runs (alarm firing while a manual retry is in progress)
+let processing = Promise.resolve();
+
+export class RetryQueue {
+  static async getQueue() {
+    return (await StorageManager.get(QUEUE_KEY)) || [];
+  }
+
+  static async saveQueue(queue) {
+    await StorageManager.set(QUEUE_KEY, queue);
+    await this.schedule(queue);
+  }
+
+  static getBackoff(attempts) {
+    return Math.min(BASE_DELAY * Math.pow(2, attempts - 1), MAX_DELAY);
+  }
+
+  /**
+   * When to try again after an error: when a rate limit lifts, else after the backoff
+   */
+  static getNextAttempt(attempts, error) {
+    return error.retryAt || Date.now() + this.getBackoff(attempts);
+  }
+
+  /**
+   * Whether a failed push may succeed later without the user changing anything:
+   * network failures (fetch rejects with a TypeError), server errors and rate limits.
+   * Settings and permission problems (missing repository, 401, 404, ...) are permanent.
+   */
+  static isTransient(error) {
+    return Boolean(error?.rateLimited || error?.branchMoved || error instanceof TypeError || error?.status >= 500);
+  }
+
+  /**
+   * Queue a failed push
+   */
+  static async add(data, error) {
+    const queue = await this.getQueue();
+
+    // A newer failure for the same problem/language replaces the older one
+    const index = queue.findIndex(
+      item => item.data.problemSlug === data.problemSlug && item.data.language === data.language
+    );
+    if (index !== -1) {
+      queue.splice(index, 1);
+    }
+
+    queue.push({
+      id: `${Date.now()}-${data.problemSlug}-${data.language}`,
+      data,
+      attempts: 1,
+      lastError: error.message,
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: this.getNextAttempt(1, error)
+    });
+
+    await this.saveQueue(queue);
+    console.log('[HackPush] Queued failed push for retry:', data.problemSlug);
+  }
+
+  /**
+   * Point the alarm at the earliest item due for an automatic retry
+   */
+  static async schedule(queue) {
+    queue = queue || await this.getQueue();
+    const due = queue
+      .filter(item => item.attempts < MAX_ATTEMPTS)
+      .map(item => item.nextAttemptAt);
+
+    if (due.length === 0) {
+      await chrome.alarms.clear(RETRY_ALARM);
+      return;
+    }
+
+    // chrome.alarms will not fire sooner than 30 seconds from now
+    await chrome.alarms.create(RETRY_ALARM, { when: Math.max(Math.min(...due), Date.now() + 30000) });
+  }
+
+  /**
+   * Retry due items. Pass an id (or 'all') to force items regardless of backoff.
+   */
+  static process(push, force = null) {
+    const run = processing.then(() => this.processQueue(push, force));
+    processing = run.catch(() => {});
+    return run;
+  }
+
+  static async processQueue(push, force) {
+    const queue = await this.getQueue();
+    const now = Date.now();
+    const isForced = item => force === 'all' || force === item.id;
+    const due = queue.filter(
+      item => isForced(item) || (item.attempts < MAX_ATTEMPTS && item.nextAttemptAt <= now)
+    );
+
+    let synced = 0;
+    for (const [index, item] of due.entries()) {
+      try {
+        await push(item.data);
+        synced++;
+        item.done = true;
+      } catch (error) {
+        console.error('[HackPush] Retry failed for', item.data.problemSlug, error);
+        item.lastError = error.message;
+
+        if (error.rateLimited) {
+          // Not the item's fault: don't count the attempt, and hold the rest until the limit lifts
+          due.slice(index).forEach(rest => {
+            rest.nextAttemptAt = Math.max(rest.nextAttemptAt, error.retryAt);
+          });
+          break;
+        }
+
+        // Permanent failures wait for a manual retry once the settings are fixed
+        item.attempts = this.isTransient(error) ? item.attempts + 1 : MAX_ATTEMPTS;
+        item.nextAttemptAt = this.getNextAttempt(item.attempts, error);
+      }
+    }
+
+    // Merge with the stored queue so items added or discarded meanwhile are kept
+    const results = new Map(due.map(item => [item.id, item]));
+    const latest = (await this.getQueue())
+      .map(item => results.get(item.id) || item)
+      .filter(item => !item.done);
+    await this.saveQueue(latest);
+
+    return { synced, pending: latest.length };
+  }
+
+  static async discard(id) {
+    const queue = await this.getQueue();
+    await this.saveQueue(id === 'all' ? [] : queue.filter(item => item.id !== id));
+  }
+}
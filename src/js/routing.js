@@ -0,0 +1,83 @@
+/**
+ * Routing Rules
+ * Ordered rules that send a solution to another repository, branch or path template
+ */
+import { GitProvider } from './git-provider.js';
+import { LanguageRegistry } from './languages.js';
+
+export const DEFAULT_FILE_STRUCTURE = 'hackerrank/{category}/{filename}';
+
+// Fields a rule can match on. Each holds comma-separated alternatives; blank matches anything.
+export const MATCH_FIELDS = ['category', 'language', 'contest', 'difficulty'];
+
+export class RoutingRules {
+  /**
+   * Split a match field into lowercased alternatives
+   */
+  static parseValues(value) {
+    return (value || '')
+      .split(',')
+      .map(item => item.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  /**
+   * Whether every non-blank match field of a rule fits the submission
+   * @param {Object} rule - { match: { category, language, contest, difficulty }, ... }
+   * @param {Object} data - Push payload (language already resolved)
+   * @param {Object|null} challenge - Challenge details, needed for difficulty
+   */
+  static matches(rule, data, challenge) {
+    const actual = {
+      category: [data.category],
+      language: [data.language],
+      // Contest slug, or the playlist a practice problem was opened from (e.g. interview-preparation-kit)
+      contest: [data.contest, GitProvider.getContestFolder(data.contest, data.playlist)],
+      difficulty: [challenge?.difficulty]
+    };
+
+    return MATCH_FIELDS.every(field => {
+      let expected = this.parseValues(rule.match?.[field]);
+      if (expected.length === 0) return true;
+
+      if (field === 'language') {
+        expected = expected.map(lang => LanguageRegistry.resolve(lang));
+      }
+      return actual[field].some(value => value && expected.includes(String(value).toLowerCase()));
+    });
+  }
+
+  /**
+   * Repository, branch and path template for a submission.
+   * The first matching rule overrides whichever of the three it sets.
+   */
+  static resolve(config, data, challenge) {
+    const rule = (config.routing_rules || []).find(item => this.matches(item, data, challenge)) || null;
+    return { ...this.target(config, rule), rule };
+  }
+
+  /**
+   * Repository, branch and path template of a rule (or the defaults for null)
+   */
+  static target(config, rule) {
+    return {
+      repo: rule?.repo || config.github_repo,
+      branch: rule?.branch || config.branch || 'main',
+      fileStructure: rule?.fileStructure || config.file_structure || DEFAULT_FILE_STRUCTURE
+    };
+  }
+
+  /**
+   * Every distinct repository, branch and path template solutions can be pushed to
+   */
+  static targets(config) {
+    const targets = new Map();
+
+    [null, ...(config.routing_rules || [])].forEach(rule => {
+      const target = this.target(config, rule);
+      targets.set(`${target.repo}@${target.branch}:${target.fileStructure}`, target);
+    });
+
+    return [...targets.values()];
+  }
+}
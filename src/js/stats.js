@@ -0,0 +1,163 @@
+/**
+ * Statistics
+ * Solve counts, activity and streaks from history and repository entries
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const STATS_RANGES = {
+  all: { name: 'All time', days: null },
+  year: { name: 'Last 365 days', days: 365 },
+  quarter: { name: 'Last 90 days', days: 90 },
+  month: { name: 'Last 30 days', days: 30 }
+};
+
+export class Statistics {
+  /**
+   * One entry per problem and language, dated by the first solve, with every sync date kept for activity.
+   * History records take precedence; repository entries fill in what history is missing.
+   * @param {Array} submissions - Stored history records
+   * @param {Array} repositoryEntries - Entries from RepositoryIndex.collect
+   */
+  static mergeEntries(submissions, repositoryEntries = []) {
+    const entries = new Map();
+
+    for (const sub of submissions) {
+      if (sub.dryRun || !sub.problemSlug) continue;
+
+      const key = `${sub.problemSlug}:${sub.language}`;
+      const existing = entries.get(key);
+      const dates = [...(existing?.dates || []), ...(sub.timestamp ? [sub.timestamp] : [])];
+      if (!existing || (sub.timestamp && (!existing.date || sub.timestamp < existing.date))) {
+        entries.set(key, {
+          slug: sub.problemSlug,
+          language: sub.language,
+          category: sub.category || 'misc',
+          difficulty: sub.difficulty || existing?.difficulty || null,
+          date: sub.timestamp || null,
+          dates,
+          source: 'history'
+        });
+      } else {
+        existing.dates = dates;
+      }
+    }
+
+    for (const entry of repositoryEntries) {
+      const key = `${entry.slug}:${entry.language}`;
+      const existing = entries.get(key);
+      if (existing) {
+        existing.difficulty = existing.difficulty || entry.difficulty;
+        continue;
+      }
+      entries.set(key, {
+        slug: entry.slug,
+        language: entry.language,
+        category: entry.category || 'misc',
+        difficulty: entry.difficulty,
+        date: entry.date,
+        dates: entry.date ? [entry.date] : [],
+        source: 'repository'
+      });
+    }
+
+    return [...entries.values()];
+  }
+
+  /**
+   * Local calendar day (YYYY-MM-DD) of an ISO timestamp
+   */
+  static dayKey(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
+
+  /**
+   * Start of a range in milliseconds, or null for all time
+   */
+  static rangeStart(range, now = new Date()) {
+    const days = STATS_RANGES[range]?.days;
+    return days ? now.getTime() - days * DAY : null;
+  }
+
+  /**
+   * Entries first solved within a range. Undated entries only count towards "All time".
+   */
+  static filterRange(entries, range, now = new Date()) {
+    const since = this.rangeStart(range, now);
+    if (since === null) return entries;
+    return entries.filter(entry => entry.date && new Date(entry.date).getTime() >= since);
+  }
+
+  /**
+   * Counts per value of a field, largest first
+   */
+  static countBy(entries, field, fallback = 'Unknown') {
+    const counts = new Map();
+    entries.forEach(entry => {
+      const value = entry[field] || fallback;
+      counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  }
+
+  /**
+   * Solutions synced per local day (each problem and language counted once a day)
+   */
+  static dailyActivity(entries, since = null) {
+    const days = new Map();
+    entries.forEach(entry => {
+      const keys = new Set(
+        entry.dates
+          .filter(date => since === null || new Date(date).getTime() >= since)
+          .map(date => this.dayKey(date))
+      );
+      keys.forEach(key => days.set(key, (days.get(key) || 0) + 1));
+    });
+    return days;
+  }
+
+  /**
+   * Current and longest run of consecutive days with at least one solve.
+   * The current streak is still alive if the last solve was yesterday.
+   */
+  static streaks(activity, now = new Date()) {
+    const days = [...activity.keys()].sort();
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+
+    for (const day of days) {
+      run = previous && this.daysBetween(previous, day) === 1 ? run + 1 : 1;
+      longest = Math.max(longest, run);
+      previous = day;
+    }
+
+    const sinceLast = previous ? this.daysBetween(previous, this.dayKey(now)) : Infinity;
+    return { current: sinceLast <= 1 ? run : 0, longest };
+  }
+
+  static daysBetween(from, to) {
+    // Noon avoids daylight saving shifts turning a day into 23 or 25 hours
+    return Math.round((new Date(`${to}T12:00:00`) - new Date(`${from}T12:00:00`)) / DAY);
+  }
+
+  /**
+   * Everything the dashboard shows for a range
+   */
+  static compute(entries, range = 'all', now = new Date()) {
+    const inRange = this.filterRange(entries, range, now);
+
+    return {
+      problems: new Set(inRange.map(entry => entry.slug)).size,
+      solutions: inRange.length,
+      fromRepository: inRange.filter(entry => entry.source === 'repository').length,
+      byCategory: this.countBy(inRange, 'category'),
+      byLanguage: this.countBy(inRange, 'language'),
+      byDifficulty: this.countBy(inRange, 'difficulty'),
+      activity: this.dailyActivity(entries, this.rangeStart(range, now)),
+      // Streaks always look at the whole history
+      streaks: this.streaks(this.dailyActivity(entries), now)
+    };
+  }
+}
@@ -2,41 +2,162 @@
  * Storage Manager
  * Handles Chrome storage API operations
  */
+
+// Every configuration key, as returned by getConfig
+export const CONFIG_KEYS = [
+  'git_provider', 'github_token', 'github_auth', 'github_client_id', 'github_api_url',
+  'github_repo', 'branch', 'file_structure',
+  'commit_preset', 'commit_message_template', 'header_enabled', 'header_template',
+  'header_placement', 'commit_author_name', 'commit_author_email',
+  'delivery_mode', 'pr_branch_mode', 'routing_rules',
+  'filter_exclude_categories', 'filter_exclude_languages', 'filter_min_score', 'filter_full_marks',
+  'sync_policy', 'dry_run'
+];
+
+// Credentials never leave this device (not synced, not exported)
+export const SECRET_KEYS = ['github_token', 'github_auth'];
+export const SHARED_KEYS = CONFIG_KEYS.filter(key => !SECRET_KEYS.includes(key));
+
+// Whether non-secret settings are mirrored to chrome.storage.sync
+export const SYNC_ENABLED_KEY = 'sync_settings';
+
+// Profiles live in local storage (with their tokens); the active choice is per device.
+// chrome.storage.sync holds one item per profile under SYNC_PROFILE_PREFIX + name.
+export const PROFILES_KEY = 'profiles';
+export const ACTIVE_PROFILE_KEY = 'active_profile';
+export const DEFAULT_PROFILE = 'Default';
+export const SYNC_PROFILE_PREFIX = 'profile:';
+
 export class StorageManager {
   static async getConfig() {
     return new Promise((resolve) => {
-      chrome.storage.local.get(
-        ['github_token', 'github_repo', 'branch', 'file_structure'],
-        (result) => resolve(result)
-      );
+      chrome.storage.local.get(CONFIG_KEYS, (result) => resolve(result));
     });
   }
 
   static async saveConfig(config) {
-    return new Promise((resolve) => {
+    await new Promise((resolve) => {
       chrome.storage.local.set(config, () => resolve());
     });
+
+    if (Object.keys(config).some(key => SHARED_KEYS.includes(key))) {
+      await this.pushActiveProfile();
+    }
   }
 
-  static async addSubmissionRecord(record) {
-    const { submissions = [] } = await new Promise((resolve) => {
-      chrome.storage.local.get(['submissions'], resolve);
-    });
-    
-    // Check for duplicates
-    const exists = submissions.some(
-      sub => sub.problemSlug === record.problemSlug && 
-             sub.language === record.language &&
-             Math.abs(new Date(sub.timestamp) - new Date(record.timestamp)) < 60000
+  /**
+   * Non-secret settings out of a config object
+   */
+  static sharedSettings(config) {
+    return Object.fromEntries(
+      Object.entries(config).filter(([key, value]) => SHARED_KEYS.includes(key) && value !== undefined)
     );
-    
-    if (!exists) {
+  }
+
+  /**
+   * Copy the active profile's non-secret settings to its chrome.storage.sync item, when sync is on
+   */
+  static async pushActiveProfile() {
+    if (!(await this.get(SYNC_ENABLED_KEY))) return;
+
+    const active = (await this.get(ACTIVE_PROFILE_KEY)) || DEFAULT_PROFILE;
+    await this.pushProfile(active, await this.getConfig());
+  }
+
+  /**
+   * Write one profile's non-secret settings to sync, unless they are already there
+   */
+  static async pushProfile(name, config) {
+    const key = SYNC_PROFILE_PREFIX + name;
+    const settings = this.sharedSettings(config);
+
+    try {
+      const { [key]: synced } = await chrome.storage.sync.get(key);
+      if (synced && this.sameSettings(synced, settings)) return;
+      await chrome.storage.sync.set({ [key]: settings });
+    } catch (error) {
+      // Quota exceeded or sync unavailable: local settings still apply
+      console.warn('[HackPush] Could not sync settings:', error);
+    }
+  }
+
+  static sameSettings(a, b) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every(key => JSON.stringify(a[key]) === JSON.stringify(b[key]));
+  }
+
+  /**
+   * Replace the whole configuration locally: keys missing from `config` are cleared.
+   * Nothing is pushed to sync.
+   */
+  static async replaceConfig(config) {
+    await this.removeKeys(CONFIG_KEYS.filter(key => config[key] === undefined));
+    await new Promise((resolve) => {
+      chrome.storage.local.set(config, () => resolve());
+    });
+  }
+
+  static async removeKeys(keys) {
+    return new Promise((resolve) => {
+      chrome.storage.local.remove(keys, resolve);
+    });
+  }
+
+  static async addSubmissionRecord(record) {
+    return this.addSubmissionRecords([record]);
+  }
+
+  /**
+   * Add records, skipping duplicates. Resolves with the number of records added.
+   */
+  static async addSubmissionRecords(records) {
+    let submissions = await this.getSubmissions();
+    let added = 0;
+
+    for (const record of records) {
+      // Check for duplicates: same HackerRank submission, or identical code for the same problem.
+      // Dry-run previews and real syncs are only compared with their own kind.
+      const isDuplicate = sub => (record.submissionId && sub.submissionId === record.submissionId) ||
+        (sub.problemSlug === record.problemSlug &&
+         sub.language === record.language &&
+         (record.contentHash
+           ? sub.contentHash === record.contentHash
+           : sub.timestamp === record.timestamp));
+      if (submissions.some(sub => Boolean(sub.dryRun) === Boolean(record.dryRun) && isDuplicate(sub))) {
+        continue;
+      }
+
+      // A real sync replaces the dry-run preview of the same submission
+      if (!record.dryRun) {
+        submissions = submissions.filter(sub => !(sub.dryRun && isDuplicate(sub)));
+      }
       submissions.push(record);
-      return new Promise((resolve) => {
-        chrome.storage.local.set({ submissions }, resolve);
-      });
+      added++;
+    }
+
+    if (added > 0) {
+      await this.set('submissions', submissions);
     }
-    return Promise.resolve();
+    return added;
+  }
+
+  /**
+   * Remove one history record
+   */
+  static async deleteSubmission(record) {
+    const submissions = await this.getSubmissions();
+    await this.set('submissions', submissions.filter(sub => !(
+      sub.problemSlug === record.problemSlug &&
+      sub.language === record.language &&
+      sub.syncedAt === record.syncedAt &&
+      sub.submissionId === record.submissionId &&
+      Boolean(sub.dryRun) === Boolean(record.dryRun)
+    )));
+  }
+
+  static async findSubmission(submissionId) {
+    const submissions = await this.getSubmissions();
+    return submissions.find(sub => sub.submissionId === submissionId && !sub.dryRun);
   }
 
   static async getSubmissions() {
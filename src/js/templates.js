@@ -0,0 +1,137 @@
+/**
+ * Templates
+ * Placeholder rendering for commit messages and file headers
+ */
+
+export const DEFAULT_HEADER_TEMPLATE = [
+  'Problem: {title}',
+  'Language: {language}',
+  'Submitted: {timestamp}',
+  'HackerRank URL: {url}',
+  'Auto-synced by HackPush'
+].join('\n');
+
+export const COMMIT_PRESETS = {
+  default: {
+    name: 'Default',
+    template: '{action} solution for {title} ({language})'
+  },
+  conventional: {
+    name: 'Conventional Commits',
+    template: '{type}({category}): {verb} {title} in {language}'
+  },
+  conventionalScoped: {
+    name: 'Conventional Commits (language scope)',
+    template: '{type}({language}): {verb} {title} [{difficulty}]'
+  }
+};
+
+export const PLACEHOLDERS = [
+  'title', 'slug', 'language', 'category', 'difficulty', 'score', 'maxScore',
+  'submissionId', 'date', 'timestamp', 'url', 'action', 'verb', 'type'
+];
+
+// File headers sit at the top, after at most a shebang, magic comments or a package line
+const HEADER_SCAN_LINES = 40;
+
+export class TemplateEngine {
+  /**
+   * Replace {placeholder} tokens. Unknown tokens are kept, missing values become empty.
+   */
+  static render(template, values) {
+    return template.replace(/\{(\w+)\}/g, (token, name) => {
+      if (!PLACEHOLDERS.includes(name)) return token;
+      const value = values[name];
+      return value === null || value === undefined ? '' : String(value);
+    });
+  }
+
+  /**
+   * Reverse of render for a file header: read placeholder values back from the top of a file.
+   * Template lines are matched anywhere in a line, so comment prefixes and suffixes don't matter.
+   * Lines without literal text (e.g. a bare "{title}") can't be told apart from code and are skipped.
+   */
+  static parseHeader(template, text) {
+    const lines = text.split('\n').slice(0, HEADER_SCAN_LINES);
+    const values = {};
+
+    for (const templateLine of template.split('\n')) {
+      const names = [];
+      const parts = templateLine.trim().split(/(\{\w+\})/);
+      const pattern = parts.map(part => {
+        const name = part.match(/^\{(\w+)\}$/)?.[1];
+        if (name && PLACEHOLDERS.includes(name)) {
+          names.push(name);
+          return '(.*?)';
+        }
+        return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      }).join('');
+
+      const literal = parts.filter((part, index) => index % 2 === 0).join('').trim();
+      if (names.length === 0 || literal.length < 2) continue;
+
+      // Optional block comment terminator after the last value
+      const regex = new RegExp(`${pattern}\\s*(?:\\*\\/|\\*\\)|"""|=end)?\\s*$`);
+      for (const line of lines) {
+        const match = line.match(regex);
+        if (match) {
+          names.forEach((name, index) => { values[name] = match[index + 1].trim(); });
+          break;
+        }
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Build placeholder values for a push
+   * @param {Object} data - Push payload from the content script
+   * @param {Object} extra - { challenge, isUpdate }
+   */
+  static buildValues(data, { challenge = null, isUpdate = false } = {}) {
+    return {
+      title: data.problemTitle,
+      slug: data.problemSlug,
+      language: data.language,
+      category: data.category,
+      difficulty: challenge?.difficulty || '',
+      score: data.score ?? '',
+      maxScore: challenge?.maxScore ?? '',
+      submissionId: data.submissionId || '',
+      date: (data.timestamp || '').slice(0, 10),
+      timestamp: data.timestamp,
+      url: data.url,
+      action: isUpdate ? 'Update' : 'Add',
+      verb: isUpdate ? 'update' : 'add',
+      type: isUpdate ? 'refactor' : 'feat'
+    };
+  }
+
+  static commitTemplate(config) {
+    if (config.commit_preset === 'custom' && config.commit_message_template) {
+      return config.commit_message_template;
+    }
+    return (COMMIT_PRESETS[config.commit_preset] || COMMIT_PRESETS.default).template;
+  }
+
+  /**
+   * Where metadata goes: 'inline' (file header), 'sidecar' (<file>.meta.json) or 'none'
+   */
+  static headerPlacement(config) {
+    if (config.header_enabled === false) {
+      return 'none';
+    }
+    return config.header_placement === 'sidecar' ? 'sidecar' : 'inline';
+  }
+
+  /**
+   * Header template to use, or null when headers are disabled
+   */
+  static headerTemplate(config) {
+    if (config.header_enabled === false) {
+      return null;
+    }
+    return config.header_template || DEFAULT_HEADER_TEMPLATE;
+  }
+}
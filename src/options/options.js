@@ -1,23 +1,87 @@
 /**
  * Options Page Script
  */
-import { StorageManager } from '../js/storage.js';
+import { StorageManager, SYNC_ENABLED_KEY } from '../js/storage.js';
+import { ProfileManager } from '../js/profiles.js';
+import { Providers } from '../js/providers.js';
+import { TemplateEngine, COMMIT_PRESETS, DEFAULT_HEADER_TEMPLATE } from '../js/templates.js';
+import { MATCH_FIELDS, DEFAULT_FILE_STRUCTURE } from '../js/routing.js';
+import { Statistics, STATS_RANGES } from '../js/stats.js';
+import { LanguageRegistry } from '../js/languages.js';
+import { SubmissionHistory, HISTORY_STATUSES, HISTORY_SORTS } from '../js/history.js';
+
+// Sample values for the commit message preview
+const PREVIEW_VALUES = TemplateEngine.buildValues({
+  problemTitle: 'Simple Array Sum',
+  problemSlug: 'simple-array-sum',
+  language: 'python3',
+  category: 'algorithms',
+  score: 10,
+  submissionId: 123456789,
+  timestamp: new Date().toISOString(),
+  url: 'https://www.hackerrank.com/challenges/simple-array-sum/problem'
+}, { challenge: { difficulty: 'Easy', maxScore: 10 } });
+
+// Token and API URL help for each Git host
+const PROVIDER_HELP = {
+  github: {
+    tokenUrl: 'https://github.com/settings/tokens',
+    tokenHint: "with 'repo' scope",
+    tokenPlaceholder: 'ghp_xxxxxxxxxxxx',
+    apiHint: 'Leave blank for github.com. For GitHub Enterprise Server, enter your host (e.g. https://github.example.com/api/v3)'
+  },
+  gitlab: {
+    tokenUrl: 'https://gitlab.com/-/user_settings/personal_access_tokens',
+    tokenHint: "with 'api' scope",
+    tokenPlaceholder: 'glpat-xxxxxxxxxxxx',
+    apiHint: 'Leave blank for gitlab.com. For self-managed GitLab, enter your host (e.g. https://gitlab.example.com)'
+  },
+  gitea: {
+    tokenUrl: 'https://codeberg.org/user/settings/applications',
+    tokenHint: 'with read and write access to repositories',
+    tokenPlaceholder: 'xxxxxxxxxxxxxxxxxxxx',
+    apiHint: 'Leave blank for Codeberg. For your own Gitea or Forgejo server, enter its host (e.g. https://git.example.com)'
+  },
+  bitbucket: {
+    tokenUrl: 'https://bitbucket.org/account/settings/app-passwords/',
+    tokenHint: 'and enter it as username:app_password, or paste a repository access token. Needs repository write access',
+    tokenPlaceholder: 'username:app_password',
+    apiHint: null
+  }
+};
 
 document.addEventListener('DOMContentLoaded', async () => {
+  await loadProfiles();
   await loadConfig();
   setupEventListeners();
   await loadHistory();
+  await loadBackfillStatus();
+  await loadStats();
+  loadRepositoryEntries();
 });
 
+// Solutions found in the repository trees, loaded once per page view (null until then)
+let repositoryEntries = null;
+
+// History records and the page of matching records being shown
+const HISTORY_PAGE_SIZE = 50;
+let historyRecords = [];
+let historyPage = 0;
+
 /**
  * Load saved configuration
  */
 async function loadConfig() {
   const config = await StorageManager.getConfig();
   
-  if (config.github_token) {
+  document.getElementById('git-provider').value = Providers.get(config.git_provider).id;
+  document.getElementById('api-url').value = config.github_api_url || '';
+  updateProviderFields();
+  document.getElementById('client-id').value = config.github_client_id || '';
+  if (config.github_token && config.github_auth?.method !== 'oauth') {
     document.getElementById('token').value = config.github_token;
   }
+  renderAuthStatus(config, await StorageManager.get('oauth_pending'));
   if (config.github_repo) {
     document.getElementById('repo').value = config.github_repo;
   }
@@ -27,6 +91,102 @@ async function loadConfig() {
   if (config.file_structure) {
     document.getElementById('structure').value = config.file_structure;
   }
+
+  // Delivery
+  document.getElementById('delivery-mode').value = config.delivery_mode || 'direct';
+  document.getElementById('pr-branch-mode').value = config.pr_branch_mode || 'problem';
+  updateDeliveryFields();
+
+  // Routing rules
+  (config.routing_rules || []).forEach(addRuleElement);
+
+  // Sync filters
+  document.getElementById('filter-categories').value = config.filter_exclude_categories || '';
+  document.getElementById('filter-languages').value = config.filter_exclude_languages || '';
+  document.getElementById('filter-min-score').value = config.filter_min_score ?? '';
+  document.getElementById('filter-full-marks').checked = Boolean(config.filter_full_marks);
+  document.getElementById('sync-policy').value = config.sync_policy || 'every';
+  document.getElementById('dry-run').checked = Boolean(config.dry_run);
+
+  // Commit author
+  document.getElementById('author-name').value = config.commit_author_name || '';
+  document.getElementById('author-email').value = config.commit_author_email || '';
+
+  // Templates
+  const presetSelect = document.getElementById('commit-preset');
+  Object.entries(COMMIT_PRESETS).forEach(([key, preset]) => {
+    presetSelect.add(new Option(preset.name, key));
+  });
+  presetSelect.add(new Option('Custom', 'custom'));
+  presetSelect.value = config.commit_preset || 'default';
+  document.getElementById('commit-template').value = TemplateEngine.commitTemplate(config);
+
+  document.getElementById('header-enabled').checked = config.header_enabled !== false;
+  document.getElementById('header-placement').value = config.header_placement || 'inline';
+  document.getElementById('header-template').value = config.header_template || DEFAULT_HEADER_TEMPLATE;
+  updateTemplateFields();
+}
+
+/**
+ * Sync template inputs with the selected preset and refresh the preview
+ */
+function updateTemplateFields() {
+  const preset = document.getElementById('commit-preset').value;
+  const templateInput = document.getElementById('commit-template');
+
+  templateInput.disabled = preset !== 'custom';
+  if (preset !== 'custom') {
+    templateInput.value = COMMIT_PRESETS[preset].template;
+  }
+
+  document.getElementById('commit-preview').textContent =
+    `Preview: ${TemplateEngine.render(templateInput.value, PREVIEW_VALUES)}`;
+  const headerEnabled = document.getElementById('header-enabled').checked;
+  const placement = document.getElementById('header-placement').value;
+  document.getElementById('header-placement').disabled = !headerEnabled;
+  document.getElementById('header-template').disabled = !headerEnabled || placement === 'sidecar';
+}
+
+/**
+ * Show pull request options only in pull request mode
+ */
+function updateDeliveryFields() {
+  const pullRequestMode = document.getElementById('delivery-mode').value === 'pull_request';
+  document.getElementById('pr-branch-group').classList.toggle('hidden', !pullRequestMode);
+}
+
+/**
+ * Append an editable routing rule
+ */
+function addRuleElement(rule = {}) {
+  const element = document.getElementById('rule-template').content.firstElementChild.cloneNode(true);
+
+  element.querySelectorAll('[data-match]').forEach(input => {
+    input.value = rule.match?.[input.dataset.match] || '';
+  });
+  element.querySelectorAll('[data-field]').forEach(input => {
+    input.value = rule[input.dataset.field] || '';
+  });
+
+  document.getElementById('routing-rules').appendChild(element);
+}
+
+/**
+ * Routing rules in their displayed order, without rules that are left completely blank
+ */
+function readRoutingRules() {
+  return [...document.querySelectorAll('#routing-rules .rule')]
+    .map(element => {
+      const rule = { match: {} };
+      element.querySelectorAll('[data-match]').forEach(input => {
+        rule.match[input.dataset.match] = input.value.trim();
+      });
+      element.querySelectorAll('[data-field]').forEach(input => {
+        rule[input.dataset.field] = input.value.trim();
+      });
+      return rule;
+    })
+    .filter(rule => rule.repo || rule.branch || rule.fileStructure);
 }
 
 /**
@@ -39,11 +199,55 @@ function setupEventListeners() {
     await saveConfig();
   });
 
+  // Create a missing repository
+  document.getElementById('create-repo-button').addEventListener('click', async () => {
+    await createRepository();
+  });
+
+  // Delivery controls
+  document.getElementById('delivery-mode').addEventListener('change', updateDeliveryFields);
+
+  // Routing rules: add, reorder and remove
+  document.getElementById('add-rule').addEventListener('click', () => addRuleElement());
+  document.getElementById('routing-rules').addEventListener('click', (e) => {
+    const button = e.target.closest('button');
+    const rule = button?.closest('.rule');
+    if (!rule) return;
+
+    if (button.dataset.remove !== undefined) {
+      rule.remove();
+    } else if (button.dataset.move === '-1' && rule.previousElementSibling) {
+      rule.previousElementSibling.before(rule);
+    } else if (button.dataset.move === '1' && rule.nextElementSibling) {
+      rule.nextElementSibling.after(rule);
+    }
+  });
+
+  // Template controls
+  document.getElementById('commit-preset').addEventListener('change', updateTemplateFields);
+  document.getElementById('commit-template').addEventListener('input', updateTemplateFields);
+  document.getElementById('header-enabled').addEventListener('change', updateTemplateFields);
+  document.getElementById('header-placement').addEventListener('change', updateTemplateFields);
+
   // Test connection
   document.getElementById('test-connection').addEventListener('click', async () => {
     await testConnection();
   });
 
+  // Git host
+  document.getElementById('git-provider').addEventListener('change', async () => {
+    updateProviderFields();
+    await refreshAuthStatus();
+  });
+
+  // OAuth device flow
+  document.getElementById('oauth-sign-in').addEventListener('click', async () => {
+    await signIn();
+  });
+  document.getElementById('oauth-sign-out').addEventListener('click', async () => {
+    await signOut();
+  });
+
   // Toggle token visibility
   document.getElementById('toggle-token').addEventListener('click', () => {
     const tokenInput = document.getElementById('token');
@@ -58,9 +262,105 @@ function setupEventListeners() {
     }
   });
 
+  // Backfill controls
+  document.getElementById('backfill-start').addEventListener('click', () => {
+    runBackfillAction('startBackfill');
+  });
+  document.getElementById('backfill-pause').addEventListener('click', () => {
+    runBackfillAction('pauseBackfill');
+  });
+  document.getElementById('backfill-resume').addEventListener('click', () => {
+    runBackfillAction('resumeBackfill');
+  });
+
+  // Live backfill progress and history updates
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local') return;
+    if (changes.backfill_state) {
+      renderBackfillStatus(changes.backfill_state.newValue || { status: 'idle' });
+    }
+    if (changes.submissions) {
+      loadHistory();
+      loadStats();
+    }
+    if (changes.oauth_pending || changes.github_auth) {
+      refreshAuthStatus();
+    }
+  });
+
+  // Statistics range
+  const rangeSelect = document.getElementById('stats-range');
+  Object.entries(STATS_RANGES).forEach(([key, range]) => {
+    rangeSelect.add(new Option(range.name, key));
+  });
+  rangeSelect.addEventListener('change', loadStats);
+
+  // History search, filters, sorting and paging
+  const statusSelect = document.getElementById('history-status');
+  Object.entries(HISTORY_STATUSES).forEach(([key, name]) => statusSelect.add(new Option(name, key)));
+  const sortSelect = document.getElementById('history-sort');
+  Object.entries(HISTORY_SORTS).forEach(([key, name]) => sortSelect.add(new Option(name, key)));
+
+  ['history-search', 'history-language', 'history-category', 'history-status', 'history-from', 'history-to', 'history-sort']
+    .forEach(id => {
+      document.getElementById(id).addEventListener('input', () => {
+        historyPage = 0;
+        renderHistory();
+      });
+    });
+  document.getElementById('history-prev').addEventListener('click', () => {
+    historyPage--;
+    renderHistory();
+  });
+  document.getElementById('history-next').addEventListener('click', () => {
+    historyPage++;
+    renderHistory();
+  });
+
+  // Profiles, settings files and sync
+  document.getElementById('profile-select').addEventListener('change', (e) => {
+    runProfileAction(() => ProfileManager.switchTo(e.target.value));
+  });
+  document.getElementById('profile-new').addEventListener('click', () => {
+    const name = prompt('Name for the new profile (starts as a copy of the current settings):');
+    if (name !== null) {
+      runProfileAction(() => ProfileManager.create(name));
+    }
+  });
+  document.getElementById('profile-delete').addEventListener('click', deleteProfile);
+  document.getElementById('sync-settings').addEventListener('change', (e) => setSettingsSync(e.target.checked));
+  document.getElementById('export-settings').addEventListener('click', exportSettings);
+  document.getElementById('import-settings').addEventListener('click', () => {
+    document.getElementById('import-settings-file').click();
+  });
+  document.getElementById('import-settings-file').addEventListener('change', async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (file) {
+      await importSettings(file);
+    }
+  });
+
+  // Rebuild history from the repository
+  document.getElementById('reconcile-history').addEventListener('click', reconcileHistory);
+
+  // Export and import
+  document.getElementById('export-json').addEventListener('click', () => exportHistory('json'));
+  document.getElementById('export-csv').addEventListener('click', () => exportHistory('csv'));
+  document.getElementById('import-history').addEventListener('click', () => {
+    document.getElementById('import-file').click();
+  });
+  document.getElementById('import-file').addEventListener('change', async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (file) {
+      await importHistory(file);
+    }
+  });
+
   // Clear history
   document.getElementById('clear-history').addEventListener('click', async () => {
-    if (confirm('Are you sure you want to clear submission history?')) {
+    if (confirm('Are you sure you want to clear submission history? Use "Reconcile with Repository" to rebuild it later.')) {
       await StorageManager.set('submissions', []);
       await loadHistory();
     }
@@ -71,10 +371,32 @@ function setupEventListeners() {
  * Save configuration
  */
 async function saveConfig() {
+  // Requested first, while the submit's user gesture is still active
+  const provider = document.getElementById('git-provider').value;
+  const apiUrl = document.getElementById('api-url').value.trim();
+  const permissionRequest = requestHostPermission(provider, apiUrl);
+
   const token = document.getElementById('token').value.trim();
+  const clientId = document.getElementById('client-id').value.trim();
   const repo = document.getElementById('repo').value.trim();
   const branch = document.getElementById('branch').value.trim() || 'main';
-  const structure = document.getElementById('structure').value.trim() || 'hackerrank/{category}/{filename}';
+  const structure = document.getElementById('structure').value.trim() || DEFAULT_FILE_STRUCTURE;
+  const deliveryMode = document.getElementById('delivery-mode').value;
+  const prBranchMode = document.getElementById('pr-branch-mode').value;
+  const authorName = document.getElementById('author-name').value.trim();
+  const authorEmail = document.getElementById('author-email').value.trim();
+  const commitPreset = document.getElementById('commit-preset').value;
+  const commitTemplate = document.getElementById('commit-template').value.trim();
+  const headerEnabled = document.getElementById('header-enabled').checked;
+  const headerTemplate = document.getElementById('header-template').value.trim();
+  const headerPlacement = document.getElementById('header-placement').value;
+  const routingRules = readRoutingRules();
+  const minScore = document.getElementById('filter-min-score').value.trim();
+
+  if (commitPreset === 'custom' && !commitTemplate) {
+    showTestResult('Custom commit message template cannot be empty', 'error');
+    return;
+  }
 
   // Validate repository format
   if (repo && !/^[\w\-\.]+\/[\w\-\.]+$/.test(repo)) {
@@ -82,12 +404,54 @@ async function saveConfig() {
     return;
   }
 
+  const invalidRule = routingRules.find(rule => rule.repo && !/^[\w\-\.]+\/[\w\-\.]+$/.test(rule.repo));
+  if (invalidRule) {
+    showTestResult(`Invalid repository "${invalidRule.repo}" in a routing rule. Use format: owner/repo`, 'error');
+    return;
+  }
+
+  const catchAll = routingRules.findIndex(rule => MATCH_FIELDS.every(field => !rule.match[field]));
+  if (catchAll !== -1 && catchAll < routingRules.length - 1) {
+    showTestResult('A routing rule without match fields matches everything, so the rules below it never apply', 'error');
+    return;
+  }
+
+  if (!(await permissionRequest)) {
+    showTestResult('Invalid GitHub API URL, or access to that host was not granted', 'error');
+    return;
+  }
+
   try {
+    // A GitHub sign-in owns the token; the token field only applies otherwise
+    const { github_auth: auth } = await StorageManager.getConfig();
+    const tokenConfig = auth?.method === 'oauth' && provider === 'github'
+      ? {}
+      : { github_token: token, github_auth: null };
+
     await StorageManager.saveConfig({
-      github_token: token,
+      ...tokenConfig,
+      github_client_id: clientId,
+      git_provider: provider,
+      github_api_url: apiUrl ? Providers.get(provider).normalizeBaseURL(apiUrl) : '',
       github_repo: repo,
       branch: branch,
-      file_structure: structure
+      file_structure: structure,
+      delivery_mode: deliveryMode,
+      pr_branch_mode: prBranchMode,
+      routing_rules: routingRules,
+      filter_exclude_categories: document.getElementById('filter-categories').value.trim(),
+      filter_exclude_languages: document.getElementById('filter-languages').value.trim(),
+      filter_min_score: minScore ? Number(minScore) : null,
+      filter_full_marks: document.getElementById('filter-full-marks').checked,
+      sync_policy: document.getElementById('sync-policy').value,
+      dry_run: document.getElementById('dry-run').checked,
+      commit_author_name: authorName,
+      commit_author_email: authorEmail,
+      commit_preset: commitPreset,
+      commit_message_template: commitPreset === 'custom' ? commitTemplate : '',
+      header_enabled: headerEnabled,
+      header_template: headerTemplate === DEFAULT_HEADER_TEMPLATE ? '' : headerTemplate,
+      header_placement: headerPlacement
     });
 
     showTestResult('Configuration saved successfully!', 'success');
@@ -102,9 +466,12 @@ async function saveConfig() {
 async function testConnection() {
   const token = document.getElementById('token').value.trim();
   const repo = document.getElementById('repo').value.trim();
+  const provider = document.getElementById('git-provider').value;
+  const { github_auth: auth } = await StorageManager.getConfig();
+  const signedIn = auth?.method === 'oauth' && provider === 'github';
 
-  if (!token || !repo) {
-    showTestResult('Please enter token and repository first', 'error');
+  if ((!token && !signedIn) || !repo) {
+    showTestResult('Please sign in or enter a token, and enter a repository first', 'error');
     return;
   }
 
@@ -115,32 +482,40 @@ async function testConnection() {
   }
 
   showTestResult('Testing connection...', 'success');
+  document.getElementById('create-repo').classList.add('hidden');
 
   try {
-    // First validate token
-    const validateResponse = await sendMessage({ 
-      action: 'validateToken', 
-      token: token 
-    });
+    // First validate a pasted token (OAuth tokens are checked by testConnection)
+    if (!signedIn) {
+      const validateResponse = await sendMessage({ 
+        action: 'validateToken', 
+        token: token,
+        provider,
+        apiUrl: document.getElementById('api-url').value.trim()
+      });
 
-    if (!validateResponse.valid) {
-      showTestResult('Invalid GitHub token. Please check your token.', 'error');
-      return;
+      if (!validateResponse.valid) {
+        showTestResult('Invalid token. Please check your token.', 'error');
+        return;
+      }
     }
 
-    // Test repository access
-    const testResponse = await sendMessage({ action: 'testConnection' });
+    // Test repository access, creating the configured branch if it is missing
+    const testResponse = await sendMessage({ action: 'testConnection', createBranch: true });
 
     if (testResponse.connected) {
       showTestResult(
         `✅ Connection successful!\n` +
         `Repository: ${testResponse.repo}\n` +
-        `Branch: ${testResponse.branch}\n` +
-        `Synced submissions: ${testResponse.submissionCount || 0}`,
+        `Branch: ${testResponse.branch}` +
+        `${testResponse.branchCreated ? ` (created from ${testResponse.defaultBranch})` : ''}\n` +
+        `Synced submissions: ${testResponse.submissionCount || 0}` +
+        `${testResponse.warning ? `\n⚠️ ${testResponse.warning}` : ''}`,
         'success'
       );
     } else {
       showTestResult(`Connection failed: ${testResponse.error || 'Unknown error'}`, 'error');
+      document.getElementById('create-repo').classList.toggle('hidden', !testResponse.repoMissing);
     }
   } catch (error) {
     showTestResult(`Error testing connection: ${error.message}`, 'error');
@@ -148,34 +523,711 @@ async function testConnection() {
 }
 
 /**
- * Load submission history
+ * Create the configured repository, then test the connection again
+ */
+async function createRepository() {
+  const button = document.getElementById('create-repo-button');
+  button.disabled = true;
+  showTestResult('Creating repository...', 'success');
+
+  try {
+    const response = await sendMessage({
+      action: 'createRepository',
+      options: {
+        isPrivate: document.getElementById('repo-visibility').value === 'private',
+        readme: document.getElementById('repo-readme').checked,
+        gitignore: document.getElementById('repo-gitignore').checked
+      }
+    });
+
+    if (!response.success) {
+      showTestResult(`Could not create repository: ${response.error}`, 'error');
+      return;
+    }
+    document.getElementById('create-repo').classList.add('hidden');
+    await testConnection();
+  } catch (error) {
+    showTestResult(`Could not create repository: ${error.message}`, 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Start the OAuth device flow
+ */
+async function signIn() {
+  const apiUrl = document.getElementById('api-url').value.trim();
+  const permissionRequest = requestHostPermission('github', apiUrl);
+  const clientId = document.getElementById('client-id').value.trim();
+
+  if (!(await permissionRequest)) {
+    renderAuthStatus({}, { status: 'error', error: 'Invalid GitHub API URL, or access to that host was not granted' });
+    return;
+  }
+  await StorageManager.saveConfig({
+    git_provider: 'github',
+    github_client_id: clientId,
+    github_api_url: apiUrl ? Providers.get('github').normalizeBaseURL(apiUrl) : ''
+  });
+
+  try {
+    const response = await sendMessage({ action: 'startDeviceFlow', clientId });
+    if (!response.success) {
+      renderAuthStatus({}, { status: 'error', error: response.error });
+      return;
+    }
+    // Open the verification page; the code is shown in the options page
+    window.open(response.pending.verificationUri, '_blank');
+  } catch (error) {
+    renderAuthStatus({}, { status: 'error', error: error.message });
+  }
+}
+
+/**
+ * Ask for access to the provider's API host (hosts in the manifest need no prompt).
+ * Must be called synchronously from a click or submit handler.
+ */
+function requestHostPermission(provider, apiUrl) {
+  let origin;
+  try {
+    origin = Providers.get(provider).getHostPermission(apiUrl);
+  } catch (error) {
+    return Promise.resolve(false);
+  }
+
+  return chrome.permissions.request({ origins: [origin] }).catch(() => false);
+}
+
+/**
+ * Sign out and send the user to GitHub to revoke the app's access
+ */
+async function signOut() {
+  if (!confirm('Sign out of GitHub? HackPush revokes its token if GitHub allows it.')) {
+    return;
+  }
+
+  // The outcome is shown by renderAuthStatus from oauth_pending
+  const response = await sendMessage({ action: 'signOut' });
+  if (response.success && !response.revoked && response.revokeUrl) {
+    window.open(response.revokeUrl, '_blank');
+  }
+}
+
+/**
+ * Re-render sign-in state from storage
+ */
+async function refreshAuthStatus() {
+  const config = await StorageManager.getConfig();
+  renderAuthStatus(config, await StorageManager.get('oauth_pending'));
+}
+
+/**
+ * Show the help, placeholders and sign-in options for the selected Git host
+ */
+function updateProviderFields() {
+  const provider = document.getElementById('git-provider').value;
+  const help = PROVIDER_HELP[provider];
+
+  document.getElementById('oauth-block').classList.toggle('hidden', provider !== 'github');
+  document.getElementById('api-url-group').classList.toggle('hidden', !help.apiHint);
+  document.getElementById('api-url-help').textContent = help.apiHint || '';
+  document.getElementById('api-url').placeholder = Providers.get(provider).defaultBaseURL;
+  document.getElementById('token').placeholder = help.tokenPlaceholder;
+
+  const tokenHelp = document.getElementById('token-help');
+  const link = document.createElement('a');
+  link.href = help.tokenUrl;
+  link.target = '_blank';
+  link.textContent = help.tokenUrl.replace(/^https:\/\//, '');
+  tokenHelp.replaceChildren('Generate at ', link, ` ${help.tokenHint}`);
+}
+
+/**
+ * Render sign-in state and device flow progress
+ */
+function renderAuthStatus(config, pending) {
+  const status = document.getElementById('oauth-status');
+  const signedIn = config.github_auth?.method === 'oauth' &&
+    document.getElementById('git-provider').value === 'github';
+
+  document.getElementById('oauth-sign-in').classList.toggle('hidden', signedIn);
+  document.getElementById('oauth-sign-out').classList.toggle('hidden', !signedIn);
+  document.getElementById('token-group').classList.toggle('hidden', signedIn);
+
+  status.className = 'oauth-status';
+  status.innerHTML = '';
+
+  if (signedIn) {
+    status.textContent = '✅ Signed in with GitHub';
+  } else if (pending?.status === 'pending' && pending.expiresAt > Date.now()) {
+    status.append('Enter code ');
+    const code = document.createElement('code');
+    code.textContent = pending.userCode;
+    const link = document.createElement('a');
+    link.href = pending.verificationUri;
+    link.target = '_blank';
+    link.textContent = pending.verificationUri;
+    status.append(code, ' at ', link, ' — waiting for authorization...');
+  } else if (pending?.status === 'error') {
+    status.classList.add('error');
+    status.textContent = `Sign-in failed: ${pending.error}`;
+  } else if (pending?.status === 'signed_out' && pending.revoked) {
+    status.textContent = 'Signed out. The GitHub token was revoked.';
+  } else if (pending?.status === 'signed_out') {
+    status.classList.add('error');
+    status.append('Signed out of HackPush, but the token is still valid on GitHub until you revoke it');
+    if (pending.revokeUrl) {
+      const link = document.createElement('a');
+      link.href = pending.revokeUrl;
+      link.target = '_blank';
+      link.textContent = 'in your GitHub application settings';
+      status.append(' ', link);
+    }
+    status.append('.');
+  } else {
+    status.classList.add('hidden');
+  }
+}
+
+/**
+ * Load submission history and refresh the filter choices
  */
 async function loadHistory() {
-  const submissions = await StorageManager.getSubmissions();
+  historyRecords = await StorageManager.getSubmissions();
+
+  fillFilterOptions('history-language', historyRecords.map(sub => sub.language),
+    language => LanguageRegistry.getDisplayName(language));
+  fillFilterOptions('history-category', historyRecords.map(sub => sub.category));
+  renderHistory();
+}
+
+/**
+ * Replace a filter's choices (after its "All" option), keeping the current selection
+ */
+function fillFilterOptions(id, values, formatName = value => value) {
+  const select = document.getElementById(id);
+  const selected = select.value;
+  const unique = [...new Set(values.filter(Boolean))].sort();
+
+  select.length = 1;
+  unique.forEach(value => select.add(new Option(formatName(value), value)));
+  select.value = unique.includes(selected) ? selected : '';
+}
+
+function getHistoryFilters() {
+  return {
+    query: document.getElementById('history-search').value,
+    language: document.getElementById('history-language').value,
+    category: document.getElementById('history-category').value,
+    status: document.getElementById('history-status').value,
+    from: document.getElementById('history-from').value,
+    to: document.getElementById('history-to').value
+  };
+}
+
+/**
+ * Render the current page of matching records. Only one page is in the DOM at a time.
+ */
+function renderHistory() {
   const container = document.getElementById('history-container');
+  const filters = getHistoryFilters();
+  const matching = SubmissionHistory.sort(
+    historyRecords.filter(sub => SubmissionHistory.matches(sub, filters)),
+    document.getElementById('history-sort').value
+  );
+
+  const pages = Math.max(1, Math.ceil(matching.length / HISTORY_PAGE_SIZE));
+  historyPage = Math.min(historyPage, pages - 1);
+  const first = historyPage * HISTORY_PAGE_SIZE;
+  const page = matching.slice(first, first + HISTORY_PAGE_SIZE);
 
-  if (submissions.length === 0) {
-    container.innerHTML = '<p class="empty-state">No submissions yet</p>';
+  document.getElementById('history-summary').textContent = matching.length === historyRecords.length
+    ? `${historyRecords.length} record(s)`
+    : `${matching.length} of ${historyRecords.length} record(s) match`;
+
+  document.getElementById('history-pagination').classList.toggle('hidden', pages <= 1);
+  document.getElementById('history-page').textContent = `Page ${historyPage + 1} of ${pages}`;
+  document.getElementById('history-prev').disabled = historyPage === 0;
+  document.getElementById('history-next').disabled = historyPage >= pages - 1;
+
+  container.innerHTML = '';
+  if (page.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'empty-state';
+    empty.textContent = historyRecords.length === 0 ? 'No submissions yet' : 'No submissions match your search';
+    container.appendChild(empty);
+    return;
+  }
+
+  page.forEach(sub => container.appendChild(renderHistoryItem(sub)));
+}
+
+/**
+ * One history record with its links and actions
+ */
+function renderHistoryItem(sub) {
+  const item = document.createElement('div');
+  item.className = 'submission-item';
+
+  const status = SubmissionHistory.status(sub);
+  const title = document.createElement('h3');
+  title.textContent = sub.problemTitle || sub.problemSlug;
+  const badge = document.createElement('span');
+  badge.className = `status ${status}`;
+  badge.textContent = HISTORY_STATUSES[status];
+  title.appendChild(badge);
+
+  const meta = document.createElement('div');
+  meta.className = 'meta';
+  [
+    `📁 ${sub.category || 'misc'}`,
+    `💻 ${sub.language ? LanguageRegistry.getDisplayName(sub.language) : 'unknown'}`,
+    `🕒 ${sub.timestamp ? new Date(sub.timestamp).toLocaleString() : 'unknown date'}`,
+    ...(sub.filePath ? [`📄 ${sub.repo ? `${sub.repo}: ` : ''}${sub.filePath}`] : [])
+  ].forEach(text => {
+    const span = document.createElement('span');
+    span.textContent = text;
+    meta.appendChild(span);
+  });
+
+  const links = document.createElement('div');
+  links.className = 'links';
+  const addLink = (href, text) => {
+    if (!/^https?:\/\//.test(href)) return; // Imported records could carry other schemes
+    const link = document.createElement('a');
+    link.href = href;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = text;
+    links.appendChild(link);
+  };
+  const addAction = (text, onClick, className = '') => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `btn-link ${className}`.trim();
+    button.textContent = text;
+    button.addEventListener('click', () => onClick(button));
+    links.appendChild(button);
+    return button;
+  };
+
+  if (sub.githubUrl) addLink(sub.githubUrl, 'View in repository →');
+  if (sub.pullRequestUrl) addLink(sub.pullRequestUrl, 'View pull request →');
+  addLink(SubmissionHistory.problemURL(sub), 'Open on HackerRank →');
+
+  const resync = addAction('Re-sync', button => resyncRecord(sub, button));
+  if (!sub.submissionId) {
+    resync.disabled = true;
+    resync.title = 'Imported or older records without a submission ID cannot be re-synced';
+  }
+  addAction('Delete', () => deleteRecord(sub), 'danger');
+
+  item.append(title, meta, links);
+  if (sub.dryRun) {
+    item.appendChild(renderDryRun(sub));
+  }
+  return item;
+}
+
+/**
+ * Planned commit recorded by a dry run
+ */
+function renderDryRun(sub) {
+  const { commitMessage, content, files } = sub.dryRun;
+  const details = document.createElement('details');
+  details.className = 'dry-run';
+
+  const summary = document.createElement('summary');
+  summary.textContent = `Dry run: ${sub.repo || ''}@${sub.branch || ''}`;
+
+  const commit = document.createElement('p');
+  commit.textContent = `Commit: ${commitMessage}`;
+
+  const fileList = document.createElement('p');
+  fileList.textContent = `Files: ${(files || []).join(', ')}`;
+
+  const code = document.createElement('pre');
+  code.textContent = content;
+
+  details.append(summary, commit, fileList, code);
+  return details;
+}
+
+/**
+ * Fetch a record's submission from HackerRank again and push it
+ */
+async function resyncRecord(sub, button) {
+  button.disabled = true;
+  button.textContent = 'Re-syncing...';
+
+  try {
+    const response = await sendMessage({ action: 'resyncSubmission', record: sub });
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    const result = response.result || {};
+    showHistoryResult(result.filtered
+      ? `Not synced: ${result.filtered}`
+      : result.skipped ? 'Already up to date in the repository' : `Re-synced ${sub.problemTitle || sub.problemSlug}`);
+  } catch (error) {
+    showHistoryResult(`Re-sync failed: ${error.message}`, true);
+  }
+
+  button.disabled = false;
+  button.textContent = 'Re-sync';
+}
+
+async function deleteRecord(sub) {
+  if (confirm(`Remove ${sub.problemTitle || sub.problemSlug} from history? The file stays in the repository.`)) {
+    await StorageManager.deleteSubmission(sub);
+  }
+}
+
+/**
+ * Add repository files missing from history and show what differs
+ */
+async function reconcileHistory() {
+  const button = document.getElementById('reconcile-history');
+  button.disabled = true;
+  button.textContent = 'Reconciling...';
+  document.getElementById('reconcile-report').classList.add('hidden');
+
+  try {
+    const response = await sendMessage({ action: 'reconcileHistory' });
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    renderReconcileReport(response.report);
+  } catch (error) {
+    showHistoryResult(`Reconcile failed: ${error.message}`, true);
+  }
+
+  button.disabled = false;
+  button.textContent = 'Reconcile with Repository';
+}
+
+function renderReconcileReport(report) {
+  const container = document.getElementById('reconcile-report');
+  container.innerHTML = '';
+
+  const summary = document.createElement('p');
+  summary.textContent = `${report.files} solution file(s) in the repository, ${report.matched} already in history. ` +
+    `Added ${report.added} record(s) to history.` +
+    (report.headersSkipped ? ` ${report.headersSkipped} file header(s) could not be read; their details come from the repository index.` : '');
+  container.appendChild(summary);
+
+  const addList = (title, items) => {
+    if (items.length === 0) return;
+    const details = document.createElement('details');
+    const label = document.createElement('summary');
+    label.textContent = `${title} (${items.length})`;
+    const list = document.createElement('ul');
+    items.forEach(item => {
+      const li = document.createElement('li');
+      li.textContent = `${item.title} — ${item.repo}: ${item.path}`;
+      list.appendChild(li);
+    });
+    details.append(label, list);
+    container.appendChild(details);
+  };
+
+  addList('In the repository but not in history (now added)', report.unknownLocally);
+  addList('In history but not in the repository (deleted, moved or in an unmerged pull request)', report.missingFromRepository);
+  container.classList.remove('hidden');
+}
+
+/**
+ * Fill the profile selector and the sync checkbox
+ */
+async function loadProfiles() {
+  const { names, active } = await ProfileManager.list();
+  const select = document.getElementById('profile-select');
+
+  select.replaceChildren(...names.map(name => new Option(name, name, false, name === active)));
+  document.getElementById('profile-delete').disabled = names.length < 2;
+  document.getElementById('sync-settings').checked = Boolean(await StorageManager.get(SYNC_ENABLED_KEY));
+}
+
+/**
+ * Switching or creating a profile changes every setting on the page, so reload it
+ */
+async function runProfileAction(action) {
+  try {
+    await action();
+    location.reload();
+  } catch (error) {
+    showProfilesResult(error.message, true);
+    await loadProfiles();
+  }
+}
+
+async function deleteProfile() {
+  const { names, active } = await ProfileManager.list();
+  const others = names.filter(name => name !== active);
+  const name = others.length === 1 ? others[0] : prompt(`Profile to delete (${others.join(', ')}):`);
+  if (!name || !confirm(`Delete the profile "${name}"? Its settings and token are removed from this device.`)) {
+    return;
+  }
+
+  try {
+    await ProfileManager.remove(name);
+    await loadProfiles();
+    showProfilesResult(`Deleted profile "${name}"`);
+  } catch (error) {
+    showProfilesResult(error.message, true);
+  }
+}
+
+async function setSettingsSync(enabled) {
+  try {
+    const { activeChanged } = await ProfileManager.setSyncEnabled(enabled);
+    if (activeChanged) {
+      // Settings from another device replaced the ones shown
+      location.reload();
+      return;
+    }
+    await loadProfiles();
+    showProfilesResult(enabled ? 'Settings sync is on' : 'Settings sync is off');
+  } catch (error) {
+    showProfilesResult(`Could not change settings sync: ${error.message}`, true);
+  }
+}
+
+/**
+ * Download every profile's settings (without tokens) as JSON
+ */
+async function exportSettings() {
+  const text = await ProfileManager.exportSettings();
+  const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `hackpush-settings-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+async function importSettings(file) {
+  try {
+    const count = await ProfileManager.importSettings(await file.text());
+    alert(`Imported ${count} profile(s). Profiles new to this device need an access token before they can push.`);
+    location.reload();
+  } catch (error) {
+    showProfilesResult(`Import failed: ${error.message}`, true);
+  }
+}
+
+function showProfilesResult(message, isError = false) {
+  const element = document.getElementById('profiles-result');
+  element.textContent = message;
+  element.classList.toggle('error', isError);
+  element.classList.remove('hidden');
+}
+
+/**
+ * Download the whole history as JSON or CSV
+ */
+function exportHistory(format) {
+  const text = format === 'csv' ? SubmissionHistory.toCSV(historyRecords) : SubmissionHistory.toJSON(historyRecords);
+  const blob = new Blob([text], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `hackpush-history-${new Date().toISOString().slice(0, 10)}.${format}`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Merge records from an exported JSON or CSV file into history
+ */
+async function importHistory(file) {
+  try {
+    const records = SubmissionHistory.parseImport(await file.text(), file.name);
+    const added = await StorageManager.addSubmissionRecords(records);
+    showHistoryResult(`Imported ${added} record(s)${records.length > added ? `, ${records.length - added} already in history` : ''}`);
+  } catch (error) {
+    showHistoryResult(`Import failed: ${error.message}`, true);
+  }
+}
+
+function showHistoryResult(message, isError = false) {
+  const element = document.getElementById('history-result');
+  element.textContent = message;
+  element.classList.toggle('error', isError);
+  element.classList.remove('hidden');
+}
+
+/**
+ * Compute and render the statistics dashboard from history plus repository entries
+ */
+async function loadStats() {
+  const range = document.getElementById('stats-range').value || 'all';
+  const submissions = await StorageManager.getSubmissions();
+  const stats = Statistics.compute(Statistics.mergeEntries(submissions, repositoryEntries || []), range);
+
+  document.getElementById('stats-problems').textContent = stats.problems;
+  document.getElementById('stats-solutions').textContent = stats.solutions;
+  document.getElementById('stats-current-streak').textContent = stats.streaks.current;
+  document.getElementById('stats-longest-streak').textContent = stats.streaks.longest;
+
+  if (repositoryEntries) {
+    document.getElementById('stats-source').textContent = stats.fromRepository
+      ? `Includes ${stats.fromRepository} solution(s) found in the repository but not in history`
+      : 'History matches the repository';
+  }
+
+  renderHeatmap(stats.activity, range);
+  renderBreakdown('stats-categories', stats.byCategory);
+  renderBreakdown('stats-languages', stats.byLanguage, language => LanguageRegistry.getDisplayName(language));
+  renderBreakdown('stats-difficulties', stats.byDifficulty);
+}
+
+/**
+ * Fill in solutions that history is missing (e.g. after clearing it) from the repository trees
+ */
+async function loadRepositoryEntries() {
+  const source = document.getElementById('stats-source');
+  source.textContent = 'Checking the repository for solutions missing from history...';
+
+  try {
+    const response = await sendMessage({ action: 'getRepositoryEntries' });
+    if (!response.success) {
+      source.textContent = `Based on history only (${response.error})`;
+      return;
+    }
+    repositoryEntries = response.entries;
+    await loadStats();
+  } catch (error) {
+    source.textContent = 'Based on history only';
+  }
+}
+
+/**
+ * Daily activity grid, one column per week, covering the selected range (at least a year for "All time")
+ */
+function renderHeatmap(activity, range) {
+  const container = document.getElementById('stats-heatmap');
+  container.innerHTML = '';
+
+  const today = new Date();
+  today.setHours(12, 0, 0, 0);
+  const first = [...activity.keys()].sort()[0];
+  const days = STATS_RANGES[range].days ||
+    Math.max(365, first ? Statistics.daysBetween(first, Statistics.dayKey(today)) + 1 : 0);
+
+  // Start on a Sunday so every column is one week
+  const day = new Date(today);
+  day.setDate(day.getDate() - days + 1);
+  day.setDate(day.getDate() - day.getDay());
+
+  const max = Math.max(1, ...activity.values());
+  for (; day <= today; day.setDate(day.getDate() + 1)) {
+    const count = activity.get(Statistics.dayKey(day)) || 0;
+    const cell = document.createElement('div');
+    cell.className = 'heatmap-cell';
+    cell.dataset.level = count === 0 ? 0 : Math.ceil((count / max) * 4);
+    cell.title = `${count} solved on ${day.toLocaleDateString()}`;
+    container.appendChild(cell);
+  }
+}
+
+/**
+ * Count list with proportional bars
+ */
+function renderBreakdown(id, counts, formatName = name => name) {
+  const list = document.getElementById(id);
+  list.innerHTML = '';
+
+  if (counts.length === 0) {
+    const empty = document.createElement('li');
+    empty.textContent = 'No solves in this range';
+    list.appendChild(empty);
     return;
   }
 
-  // Sort by timestamp (newest first)
-  submissions.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-
-  container.innerHTML = submissions.map(sub => {
-    const date = new Date(sub.timestamp).toLocaleString();
-    return `
-      <div class="submission-item">
-        <h3>${sub.problemTitle || sub.problemSlug}</h3>
-        <div class="meta">
-          <span>📁 ${sub.category || 'misc'}</span>
-          <span>💻 ${sub.language || 'unknown'}</span>
-          <span>🕒 ${date}</span>
-        </div>
-        ${sub.githubUrl ? `<a href="${sub.githubUrl}" target="_blank">View on GitHub →</a>` : ''}
-      </div>
-    `;
-  }).join('');
+  const max = counts[0][1];
+  counts.forEach(([name, count]) => {
+    const item = document.createElement('li');
+
+    const label = document.createElement('span');
+    label.className = 'name';
+    label.textContent = formatName(name);
+
+    const bar = document.createElement('div');
+    bar.className = 'bar';
+    bar.style.width = `${Math.max(4, (count / max) * 100)}%`;
+
+    const value = document.createElement('span');
+    value.className = 'count';
+    value.textContent = count;
+
+    item.append(label, bar, value);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Load backfill status
+ */
+async function loadBackfillStatus() {
+  try {
+    const response = await sendMessage({ action: 'getBackfillStatus' });
+    if (response.success) {
+      renderBackfillStatus(response.state);
+    }
+  } catch (error) {
+    console.error('[HackPush] Error loading backfill status:', error);
+  }
+}
+
+/**
+ * Send a backfill control message and render the resulting state
+ */
+async function runBackfillAction(action) {
+  try {
+    const response = await sendMessage({ action });
+    if (response.success) {
+      renderBackfillStatus(response.state);
+    } else {
+      document.getElementById('backfill-status').textContent = `Backfill error: ${response.error}`;
+    }
+  } catch (error) {
+    document.getElementById('backfill-status').textContent = `Backfill error: ${error.message}`;
+  }
+}
+
+/**
+ * Render backfill progress and toggle controls
+ */
+function renderBackfillStatus(state) {
+  const statusText = document.getElementById('backfill-status');
+  const progress = document.getElementById('backfill-progress');
+  const bar = document.getElementById('backfill-progress-bar');
+  const total = state.total || 0;
+  const position = state.position || 0;
+
+  const messages = {
+    idle: 'Not started',
+    scanning: 'Scanning your HackerRank submissions...',
+    running: state.rateLimitedUntil
+      ? `Rate limited, resuming at ${new Date(state.rateLimitedUntil).toLocaleTimeString()} (${position} of ${total})`
+      : `Syncing ${position} of ${total}...`,
+    paused: `Paused at ${position} of ${total}`,
+    done: `Done: ${state.synced || 0} synced, ${state.skipped || 0} skipped, ${state.failed || 0} failed`,
+    error: `Backfill error: ${state.error || 'Unknown error'}`
+  };
+  statusText.textContent = messages[state.status] || messages.idle;
+
+  progress.classList.toggle('hidden', !total);
+  bar.style.width = total ? `${Math.round((position / total) * 100)}%` : '0';
+
+  const active = state.status === 'running' || state.status === 'scanning';
+  document.getElementById('backfill-start').classList.toggle('hidden', active || state.status === 'paused');
+  document.getElementById('backfill-pause').classList.toggle('hidden', !active);
+  document.getElementById('backfill-resume').classList.toggle('hidden', state.status !== 'paused');
 }
 
 /**
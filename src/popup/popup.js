@@ -4,6 +4,7 @@
  */
 
 document.addEventListener('DOMContentLoaded', async () => {
+  await loadProfiles();
   await checkConnection();
   setupEventListeners();
 });
@@ -24,6 +25,28 @@ async function checkConnection() {
     console.error('[HackPush] Error checking connection:', error);
     showNotConnectedView('Error checking connection');
   }
+
+  // Pending retries are shown whatever the connection state
+  loadRetryQueue();
+}
+
+/**
+ * Show the profile switcher when there is more than one profile
+ */
+async function loadProfiles() {
+  try {
+    const response = await sendMessage({ action: 'getProfiles' });
+    const select = document.getElementById('profile-select');
+    if (!response.success || response.names.length < 2) {
+      select.classList.add('hidden');
+      return;
+    }
+
+    select.replaceChildren(...response.names.map(name => new Option(name, name, false, name === response.active)));
+    select.classList.remove('hidden');
+  } catch (error) {
+    console.error('[HackPush] Error loading profiles:', error);
+  }
 }
 
 /**
@@ -36,6 +59,71 @@ function showConnectedView(status) {
 
   document.getElementById('repo-name').textContent = status.repo || 'GitHub';
   document.getElementById('submission-count').textContent = status.submissionCount || 0;
+
+  loadRateLimit();
+}
+
+/**
+ * Show the API quota reported by the last Git host response
+ */
+function loadRateLimit() {
+  chrome.storage.local.get(['rate_limit'], ({ rate_limit: quota }) => {
+    const element = document.getElementById('rate-limit');
+    const current = quota && (!quota.resetAt || quota.resetAt > Date.now());
+
+    element.classList.toggle('hidden', !current);
+    if (!current) return;
+
+    const limit = quota.limit ? ` / ${quota.limit.toLocaleString()}` : '';
+    const reset = quota.resetAt ? `, resets at ${new Date(quota.resetAt).toLocaleTimeString()}` : '';
+    element.textContent = `${quota.provider} API quota: ${quota.remaining.toLocaleString()}${limit}${reset}`;
+    element.classList.toggle('low', quota.limit ? quota.remaining / quota.limit < 0.1 : quota.remaining === 0);
+  });
+}
+
+/**
+ * Load pending retries
+ */
+async function loadRetryQueue() {
+  try {
+    const response = await sendMessage({ action: 'getRetryQueue' });
+    renderRetryQueue(response.success ? response.queue : []);
+  } catch (error) {
+    console.error('[HackPush] Error loading retry queue:', error);
+  }
+}
+
+/**
+ * Render pending retries with per-item discard controls
+ */
+function renderRetryQueue(queue) {
+  const section = document.getElementById('retry-section');
+  const list = document.getElementById('retry-list');
+
+  section.classList.toggle('hidden', queue.length === 0);
+  document.getElementById('retry-count').textContent = queue.length;
+  list.innerHTML = '';
+
+  queue.forEach(item => {
+    const li = document.createElement('li');
+
+    const info = document.createElement('div');
+    info.textContent = `${item.data.problemTitle} (${item.data.language})`;
+    const detail = document.createElement('small');
+    detail.textContent = `${item.attempts} attempt(s): ${item.lastError}`;
+    info.appendChild(detail);
+
+    const discard = document.createElement('button');
+    discard.className = 'btn-link';
+    discard.textContent = 'Discard';
+    discard.addEventListener('click', async () => {
+      await sendMessage({ action: 'discardRetry', id: item.id });
+      loadRetryQueue();
+    });
+
+    li.append(info, discard);
+    list.appendChild(li);
+  });
 }
 
 /**
@@ -72,6 +160,19 @@ function setupEventListeners() {
     window.close();
   });
 
+  // Switch settings profile
+  document.getElementById('profile-select').addEventListener('change', async (e) => {
+    const response = await sendMessage({ action: 'switchProfile', name: e.target.value });
+    if (!response.success) {
+      showErrorView(response.error);
+      return;
+    }
+    checkConnection();
+  });
+
+  // Sync the problem open in the active tab
+  document.getElementById('sync-current').addEventListener('click', syncCurrentProblem);
+
   // View history
   document.getElementById('view-history').addEventListener('click', () => {
     chrome.runtime.openOptionsPage();
@@ -80,18 +181,43 @@ function setupEventListeners() {
 
   // Disconnect
   document.getElementById('disconnect').addEventListener('click', async () => {
-    if (confirm('Are you sure you want to disconnect? This will clear your configuration.')) {
+    if (confirm('Are you sure you want to disconnect? This signs you out and removes your token. Other settings are kept.')) {
       try {
-        // Clear storage via message to background
-        chrome.storage.local.clear(() => {
-          checkConnection();
-        });
+        // Revokes an OAuth token and clears only the credentials
+        const response = await sendMessage({ action: 'signOut' });
+        if (!response.success) {
+          throw new Error(response.error);
+        }
+        checkConnection();
       } catch (error) {
         console.error('[HackPush] Error disconnecting:', error);
       }
     }
   });
 
+  // Retry failed pushes
+  document.getElementById('retry-now').addEventListener('click', async () => {
+    const button = document.getElementById('retry-now');
+    button.disabled = true;
+    button.textContent = 'Retrying...';
+    try {
+      await sendMessage({ action: 'retryNow' });
+    } catch (error) {
+      console.error('[HackPush] Error retrying pushes:', error);
+    }
+    button.disabled = false;
+    button.textContent = 'Retry Now';
+    checkConnection();
+  });
+
+  // Discard all failed pushes
+  document.getElementById('discard-all').addEventListener('click', async () => {
+    if (confirm('Discard all pending retries? These solutions will not be synced.')) {
+      await sendMessage({ action: 'discardRetry' });
+      loadRetryQueue();
+    }
+  });
+
   // Retry connection
   document.getElementById('retry-connection').addEventListener('click', () => {
     checkConnection();
@@ -104,6 +230,67 @@ function setupEventListeners() {
   });
 }
 
+/**
+ * Ask the content script in the active HackerRank tab to push its latest accepted submission
+ */
+async function syncCurrentProblem() {
+  const button = document.getElementById('sync-current');
+  button.disabled = true;
+  button.textContent = 'Syncing...';
+
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    // Same rule as the content script's parseChallengeURL, which decides what to sync
+    const url = tab?.url ? new URL(tab.url) : null;
+    if (url?.hostname !== 'www.hackerrank.com' || !/\/challenges\/[^\/]+/.test(url.pathname)) {
+      throw new Error('Open a HackerRank challenge in this tab to sync it');
+    }
+
+    const response = await sendTabMessage(tab.id, { action: 'syncCurrentProblem' });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Sync failed');
+    }
+    const result = response.result || {};
+    if (result.filtered) {
+      showSyncResult(`Not synced: ${result.filtered}`);
+    } else if (result.dryRun) {
+      showSyncResult(`Dry run: would commit ${result.preview.files[0]}`);
+    } else {
+      showSyncResult(result.skipped ? 'Already synced, nothing to push' : 'Solution synced');
+    }
+  } catch (error) {
+    console.error('[HackPush] Error syncing current problem:', error);
+    showSyncResult(error.message, true);
+  }
+
+  button.disabled = false;
+  button.textContent = 'Sync Current Problem';
+  loadRetryQueue();
+}
+
+function showSyncResult(message, isError = false) {
+  const element = document.getElementById('sync-result');
+  element.textContent = message;
+  element.classList.toggle('error', isError);
+  element.classList.remove('hidden');
+}
+
+/**
+ * Send message to a tab's content script
+ */
+function sendTabMessage(tabId, message) {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.sendMessage(tabId, message, (response) => {
+      if (chrome.runtime.lastError) {
+        // The content script is missing in tabs opened before the extension was installed or reloaded
+        reject(new Error('HackPush is not running on this page yet. Reload the page and try again.'));
+      } else {
+        resolve(response);
+      }
+    });
+  });
+}
+
 /**
  * Send message to background script
  */